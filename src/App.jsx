@@ -1,79 +1,117 @@
-import React, { useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import CountryPicker from "./components/CountryPicker";
+import GiftCardDocument from "./components/GiftCardDocument";
+import PackageComparison from "./components/PackageComparison";
+import PromoCodeField from "./components/PromoCodeField";
+import QuoteDocument from "./components/QuoteDocument";
+import RecommendationQuiz from "./components/RecommendationQuiz";
+import ReferralLinkCard from "./components/ReferralLinkCard";
+import SlotPicker from "./components/SlotPicker";
+import I18nProvider from "./i18n/I18nProvider";
+import { LANGUAGES, useI18n } from "./i18n";
+import { bookableSlots, isBookable } from "./lib/availability";
+import {
+  clearLastApplication,
+  createReference,
+  loadLastApplication,
+  lockApplication,
+  lockedReference,
+  saveLastApplication,
+} from "./lib/application";
+import { buildIcs, downloadFile, subtitleMinutes } from "./lib/calendar";
+import { localizeCatalog, useCatalog } from "./lib/catalog";
+import { currencyName, formatMoney, perLessonPrice } from "./lib/currency";
+import { initialCurrency, rememberCurrency } from "./lib/currencyPreference";
+import { clearDraft, hasDraftContent, loadDraft, saveDraft } from "./lib/draft";
+import {
+  giveConsent,
+  PRIVACY_NOTICE_URL,
+  PRIVACY_NOTICE_VERSION,
+  purgeApplicationData,
+  withCurrentConsent,
+} from "./lib/consent";
+import { countryName } from "./lib/countries";
+import { fieldValue, formFields, schemaPayload, schemaRules, visibleFields } from "./lib/formSchema";
+import { buildCustomPackage, CUSTOM_DEFAULT_LESSONS, customRange, findPackage, isPriceCapped } from "./lib/customPackage";
+import { AGE_BRACKETS, emptyLearner, learnerErrors, MAX_LEARNERS, priceGroup } from "./lib/group";
+import { buildSchedule, findPlan, installmentPlans, PAY_IN_FULL } from "./lib/installments";
+import { applyPromotion, normalizePromoCode } from "./lib/promotions";
+import { loadQuizAnswers, recommend, saveQuizAnswers } from "./lib/recommendation";
+import { createQuoteReference, quoteValidUntil } from "./lib/quote";
+import { earnsReferralReward, loadReferral } from "./lib/referral";
+import { useRoute } from "./lib/router";
+import { checkSubmission, forgetSubmission, HONEYPOT_FIELD, recordSubmission } from "./lib/spamGuard";
+import {
+  dateInZone,
+  dateLabel,
+  detectTimeZone,
+  listTimeZones,
+  timeInZone,
+  timeZoneLabel,
+  utcOffsetLabel,
+  wallClockLabel,
+} from "./lib/time";
+import { validateForm } from "./lib/validation";
+import {
+  createIdempotencyKey,
+  discardSubmission,
+  enqueueSubmission,
+  markDelivered,
+  outboxEntries,
+  retryDelay,
+  retrySubmission,
+  SubmissionError,
+  submitter,
+  useSubmissionQueue,
+} from "./lib/submission";
 
 /**
- * Masters English — Pricing & Application (Formspree wired)
+ * Masters English — Pricing & Application (Formspree by default, see lib/submission)
  *
  * UX flow:
  * 1) pick a course type
  * 2) pick a package
  * 3) confirm details
- * 4) submit an application (POST → Formspree)
+ * 4) submit an application (POST → submission adapter)
+ *
+ * Course types, packages and prices come from the runtime catalog (see lib/catalog).
+ * UI texts come from the i18n message catalogs (see i18n/), English and Arabic (RTL).
  */
 
-// Course types shown in Step 1
-const COURSE_TYPES = [
-  {
-    id: "main",
-    title: "Main Course",
-    subtitle: "50–60 minutes per lesson",
-    description:
-      "Structured lessons covering grammar, vocabulary, reading, listening, and guided speaking.",
-  },
-  {
-    id: "conv",
-    title: "Conversational",
-    subtitle: "30–40 minutes per lesson",
-    description:
-      "Speaking-focused sessions to improve fluency, confidence, and natural expression.",
-  },
-  {
-    id: "placement",
-    title: "Free Placement Test",
-    subtitle: "60–90 minutes (one-time)",
-    description:
-      "A short evaluation call to check your level and recommend the best course + package.",
-    },
-    {
-    id: "trial",
-    title: "Free Trial",
-    subtitle: "15–30 minutes (one-time)",
-    description:
-      "A short trial session to introduce the class style, discuss your goals, and recommend the best next step.",
-  },
-];
-
-// Packages are grouped per course type
-// Currency config
-const CURRENCIES = {
-  USD: { label: "USD", symbol: "$" },
-  KWD: { label: "KWD", symbol: "KWD " },
-};
-
-// Packages are grouped per course type (prices mapped per currency)
-const PACKAGES = {
-  main: [
-    { id: "m1", lessons: 1, price: { USD: 15, KWD: 5 }, title: "Quick Start", per: { USD: "$15 per lesson", KWD: "5 KWD per lesson" } },
-    { id: "m10", lessons: 10, price: { USD: 140, KWD: 45 }, title: "Starter Pack", per: { USD: "$14 per lesson", KWD: "4.5 KWD per lesson" } },
-    { id: "m20", lessons: 20, price: { USD: 260, KWD: 80 }, title: "Momentum Month", per: { USD: "$13 per lesson", KWD: "4 KWD per lesson" } },
-    { id: "m40", lessons: 40, price: { USD: 480, KWD: 150 }, title: "Consistency Plan", per: { USD: "$12 per lesson", KWD: "3.75 KWD per lesson" } },
-    { id: "m80", lessons: 80, price: { USD: 880, KWD: 270 }, title: "Full Level Journey", per: { USD: "$11 per lesson", KWD: "3.4 KWD per lesson" } },
-  ],
-  conv: [
-    { id: "c1", lessons: 1, price: { USD: 10, KWD: 3 }, title: "Warm-Up Chat", per: { USD: "$10 per lesson", KWD: "3 KWD per lesson" } },
-    { id: "c10", lessons: 10, price: { USD: 90, KWD: 28 }, title: "Fluency Starter", per: { USD: "$9 per lesson", KWD: "2.8 KWD per lesson" } },
-    { id: "c20", lessons: 20, price: { USD: 160, KWD: 50 }, title: "Talk-a-Lot Plan", per: { USD: "$8 per lesson", KWD: "2.5 KWD per lesson" } },
-    { id: "c40", lessons: 40, price: { USD: 280, KWD: 86 }, title: "Conversation Pro", per: { USD: "$7 per lesson", KWD: "2.15 KWD per lesson" } },
-  ],
-  placement: [
-    { id: "p1", lessons: 1, price: { USD: 0, KWD: 0 }, title: "Book a Free Placement Test", per: { USD: "Free (one-time)", KWD: "Free (one-time)" } },
-  ],
-  trial: [
-    { id: "t1", lessons: 1, price: { USD: 0, KWD: 0 }, title: "Book a Free Trial", per: { USD: "Free (one-time)", KWD: "Free (one-time)" } },
-  ],
+// Empty application form (also used when resetting the flow)
+const EMPTY_FORM = {
+  fullName: "",
+  email: "",
+  // National number; `phoneCountry` (ISO code) supplies the dial code
+  phone: "",
+  phoneCountry: "",
+  // ISO country code ("KW")
+  country: "",
+  // Required for Free Trial / Placement Test / Single lessons: slot start as an ISO timestamp (UTC)
+  preferredSlot: "",
+  // Student's IANA time zone when they changed it ("" = use the detected one)
+  timeZone: "",
+  // Applied promo code (normalized); checked against the selection on every render
+  promoCode: "",
+  // Group / family enrollment: [] for one learner, else one entry per learner (see lib/group)
+  learners: [],
+  // Gift purchase: the contact fields are the buyer's, the recipient fields the learner's (see lib/formSchema)
+  gift: false,
+  // Installment plan id picked on Step 3 ("" = pay in full), see lib/installments
+  paymentPlan: "",
+  // Course-specific answers (level, goals, topics, …) are added as they are filled in, see lib/formSchema
 };
 
-// ✅ Your Formspree endpoint (submissions will arrive in your Formspree inbox + email, depending on your settings)
-const FORMSPREE_ENDPOINT = "https://formspree.io/f/xanrzowg";
+/**
+ * Notice for a failed submission, by SubmissionError code.
+ * A backend's own validation message is shown as-is; everything else is translated.
+ */
+function errorMessage(err) {
+  if (err?.detail) return { text: err.detail };
+  if (err?.code === "network") return { key: "submit.errorNetwork" };
+  if (err?.code === "config") return { key: "submit.errorConfig" };
+  return { key: "submit.errorGeneric" };
+}
 
 /**
  * Small presentational components
@@ -104,90 +142,545 @@ function Button({ children, onClick, type = "button", variant = "primary", disab
  * - `value` comes from state
  * - `onChange` updates state
  * This avoids the classic “can’t type” bug from uncontrolled/controlled switching.
+ * `error` (already translated) is shown under the input; `onBlur` lets the form mark it touched.
  */
-function Field({ label, value, onChange, placeholder, type = "text", required, name }) {
+function Field({ label, value, onChange, onBlur, error, placeholder, type = "text", required, name, autoComplete }) {
+  const errorId = `${name}-error`;
   return (
     <label className="field">
       <span className="label">
         {label} {required ? <span className="req">*</span> : null}
       </span>
       <input
-        className="input"
+        className={`input ${error ? "invalid" : ""}`}
         type={type}
         name={name}
         value={value}
         onChange={(e) => onChange(e.target.value)}
+        onBlur={onBlur}
+        placeholder={placeholder}
+        required={required}
+        autoComplete={autoComplete}
+        aria-invalid={Boolean(error)}
+        aria-describedby={error ? errorId : undefined}
+      />
+      {error && (
+        <span className="fieldError" id={errorId}>
+          {error}
+        </span>
+      )}
+    </label>
+  );
+}
+
+/**
+ * Language switcher (lives in the topbar).
+ */
+function LanguageSwitcher() {
+  const { lang, setLang, t } = useI18n();
+
+  return (
+    <div className="langSwitch" role="group" aria-label={t("language.label")}>
+      {Object.entries(LANGUAGES).map(([code, { label }]) => (
+        <button
+          key={code}
+          type="button"
+          lang={code}
+          className={`curBtn ${lang === code ? "active" : ""}`}
+          onClick={() => setLang(code)}
+          aria-pressed={lang === code}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * TextAreaField: same look as Field, for free text over several lines (e.g. a gift message).
+ */
+function TextAreaField({ label, value, onChange, onBlur, error, placeholder, required, name, maxLength }) {
+  const errorId = `${name}-error`;
+  return (
+    <label className="field">
+      <span className="label">
+        {label} {required ? <span className="req">*</span> : null}
+      </span>
+      <textarea
+        className={`input ${error ? "invalid" : ""}`}
+        name={name}
+        rows={3}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onBlur={onBlur}
         placeholder={placeholder}
         required={required}
+        maxLength={maxLength}
+        aria-invalid={Boolean(error)}
+        aria-describedby={error ? errorId : undefined}
       />
+      {error && (
+        <span className="fieldError" id={errorId}>
+          {error}
+        </span>
+      )}
+    </label>
+  );
+}
+
+/**
+ * SelectField: same look as Field, for a fixed list of `options` ({ value, label }).
+ */
+function SelectField({ label, value, onChange, onBlur, error, options, required, name }) {
+  const errorId = `${name}-error`;
+  return (
+    <label className="field">
+      <span className="label">
+        {label} {required ? <span className="req">*</span> : null}
+      </span>
+      <select
+        className={`input ${error ? "invalid" : ""}`}
+        name={name}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onBlur={onBlur}
+        required={required}
+        aria-invalid={Boolean(error)}
+        aria-describedby={error ? errorId : undefined}
+      >
+        {options.map((o) => (
+          <option key={o.value} value={o.value}>
+            {o.label}
+          </option>
+        ))}
+      </select>
+      {error && (
+        <span className="fieldError" id={errorId}>
+          {error}
+        </span>
+      )}
     </label>
   );
 }
 
+/**
+ * Multiple choice as toggle chips (e.g. learning goals); `value` is the list of picked option values.
+ */
+function ChoiceField({ label, value, onChange, error, options, required, name }) {
+  const errorId = `${name}-error`;
+  const toggle = (option) =>
+    onChange(value.includes(option) ? value.filter((v) => v !== option) : [...value, option]);
+
+  return (
+    <fieldset className="field choiceField" aria-describedby={error ? errorId : undefined}>
+      <legend className="label">
+        {label} {required ? <span className="req">*</span> : null}
+      </legend>
+      <div className="pillRow">
+        {options.map((o) => (
+          <button
+            key={o.value}
+            type="button"
+            name={name}
+            value={o.value}
+            className={`curBtn ${value.includes(o.value) ? "active" : ""}`}
+            aria-pressed={value.includes(o.value)}
+            onClick={() => toggle(o.value)}
+          >
+            {o.label}
+          </button>
+        ))}
+      </div>
+      {error && (
+        <span className="fieldError" id={errorId}>
+          {error}
+        </span>
+      )}
+    </fieldset>
+  );
+}
+
+/**
+ * Single checkbox (consent, opt-ins); `label` can hold links.
+ */
+function CheckboxField({ label, name, checked, onChange, onBlur, error, required }) {
+  const errorId = `${name}-error`;
+  return (
+    <div className="field">
+      <label className="checkField">
+        <input
+          type="checkbox"
+          name={name}
+          checked={checked}
+          onChange={(e) => onChange(e.target.checked)}
+          onBlur={onBlur}
+          required={required}
+          aria-invalid={Boolean(error)}
+          aria-describedby={error ? errorId : undefined}
+        />
+        <span>
+          {label} {required ? <span className="req">*</span> : null}
+        </span>
+      </label>
+      {error && (
+        <span className="fieldError" id={errorId}>
+          {error}
+        </span>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Page chrome shared by the pricing flow and the catalog loading/error screens.
+ * `onDeleteData` (pricing flow only) adds the footer's "delete data saved on this device" action.
+ */
+function PageShell({ onBrandClick, onDeleteData, children }) {
+  const { t, dir, locale } = useI18n();
+  const [dataDeleted, setDataDeleted] = useState(false);
+
+  return (
+    <div className="page" dir={dir} lang={locale}>
+      {/* Inline CSS for a standalone prototype */}
+      <style>{css}</style>
+
+      {/* Top header */}
+      <header className="topbar">
+        <div className="wrap topbarInner">
+          {/* Brand button resets the flow */}
+          <button className="brand" onClick={onBrandClick} aria-label={t("brand.home")}>
+            <div className="brandName">{t("brand.name")}</div>
+            <div className="brandSub">{t("brand.sub")}</div>
+          </button>
+          <LanguageSwitcher />
+        </div>
+      </header>
+
+      <main className="wrap">{children}</main>
+
+      <footer className="footer">
+        <div className="wrap footerInner">
+          <span>{t("footer.copyright", { year: String(new Date().getFullYear()) })}</span>
+          <span className="footerLinks">
+            <a href={PRIVACY_NOTICE_URL} target="_blank" rel="noopener noreferrer">
+              {t("privacy.notice")}
+            </a>
+            {onDeleteData &&
+              (dataDeleted ? (
+                <span role="status">{t("privacy.deleted")}</span>
+              ) : (
+                <button
+                  type="button"
+                  className="footerBtn"
+                  onClick={() => {
+                    if (!window.confirm(t("privacy.deleteConfirm"))) return;
+                    onDeleteData();
+                    setDataDeleted(true);
+                  }}
+                >
+                  {t("privacy.delete")}
+                </button>
+              ))}
+          </span>
+        </div>
+      </footer>
+    </div>
+  );
+}
+
 export default function App() {
+  return (
+    <I18nProvider>
+      <CatalogGate />
+    </I18nProvider>
+  );
+}
+
+/**
+ * Loads the course catalog, then hands it to the pricing flow.
+ * Nothing catalog-dependent renders until the catalog is known to be valid.
+ */
+function CatalogGate() {
+  const { status, catalog, error, retry } = useCatalog();
+  const { t } = useI18n();
+
+  if (status === "ready") return <PricingFlow catalog={catalog} />;
+
+  return (
+    <PageShell onBrandClick={retry}>
+      <div className="hero">
+        <h1>{t("hero.title")}</h1>
+      </div>
+
+      {status === "loading" ? (
+        <Card>
+          <div className="sub">{t("catalog.loading")}</div>
+        </Card>
+      ) : (
+        <Card>
+          <div className="title">{t("catalog.unavailableTitle")}</div>
+          <div className="desc">{t("catalog.unavailableText")}</div>
+          {/* Technical details stay in English: they are for whoever edits the catalog */}
+          <div className="notice bad catalogIssues" role="alert" {...(error?.message && { dir: "ltr", lang: "en" })}>
+            <strong>{error?.message || t("catalog.loadFailed")}</strong>
+            {error?.issues?.length > 0 && (
+              <ul>
+                {error.issues.map((issue) => (
+                  <li key={issue}>{issue}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+          <div className="row">
+            <Button onClick={retry}>{t("common.tryAgain")}</Button>
+          </div>
+        </Card>
+      )}
+    </PageShell>
+  );
+}
+
+function PricingFlow({ catalog }) {
+  const { currencies } = catalog;
+  const { t, lang, locale } = useI18n();
+
+  // Display texts in the active language (the payload keeps the catalog's English titles)
+  const { courseTypes, packages } = useMemo(() => localizeCatalog(catalog, lang), [catalog, lang]);
+
+  // Catalog or built package (lib/customPackage) of a course type, with its display title
+  const packageOf = (ofType, id) => {
+    const pkg = findPackage(packages[ofType], id);
+    return pkg?.custom ? { ...pkg, title: t("custom.title") } : pkg;
+  };
+
   /**
-   * Step state controls which screen is shown.
-   * This is a lightweight alternative to routing for a small prototype.
+   * The URL is the source of truth for which screen is shown:
+   * step, course type, package and currency all live in the route,
+   * so Back/Forward, refresh and shared links all land on the same screen.
    */
-  const [step, setStep] = useState("type");
+  const [route, navigate] = useRoute(catalog);
+  const { step, typeId, packageId } = route;
 
-  // User’s selections
-  const [typeId, setTypeId] = useState(null);
-  const [packageId, setPackageId] = useState(null);
+  /**
+   * Currency (chosen from the beginning):
+   * `?currency=` in the URL wins, otherwise the remembered manual choice,
+   * otherwise a guess from the browser's time zone / locale.
+   */
+  const [currencyPref, setCurrencyPref] = useState(() => initialCurrency(currencies));
+  const currency = route.currency || currencyPref.code;
+
+  // How this currency was picked, for the payload ("link" = came in through a shared URL)
+  const currencySource =
+    !route.currency || (route.currency === currencyPref.code && currencyPref.source === "chosen")
+      ? currencyPref.source
+      : "link";
+
+  // A manual pick always overrides the detected default and is remembered across visits
+  const setCurrency = (code) => {
+    rememberCurrency(code);
+    setCurrencyPref({ code, source: "chosen" });
+    navigate({ ...route, currency: code }, { replace: true });
+  };
 
-  // Currency (chosen from the beginning)
-  const [currency, setCurrency] = useState("USD");
+  // Step navigation helpers (each call is one browser history entry)
+  const goTo = (next) => navigate({ ...route, ...next });
 
   /**
    * Derived selections:
    * useMemo prevents re-finding objects on every render unless dependencies change.
    */
   const selectedType = useMemo(
-    () => COURSE_TYPES.find((t) => t.id === typeId) || null,
-    [typeId]
+    () => courseTypes.find((type) => type.id === typeId) || null,
+    [courseTypes, typeId]
   );
 
-  const selectedPackage = useMemo(() => {
-    if (!typeId) return null;
-    return PACKAGES[typeId].find((p) => p.id === packageId) || null;
-  }, [typeId, packageId]);
+  // Built packages are priced on the fly, so this one is simply looked up each render
+  const selectedPackage = typeId ? packageOf(typeId, packageId) : null;
 
-  // Currency helpers
-  const safeCurrency = CURRENCIES[currency] ? currency : "USD";
-  const money = (amount) => `${CURRENCIES[safeCurrency].symbol}${amount}`;
+  // Currency helpers (formatting rules live in lib/currency)
+  const safeCurrency = currencies[currency] ? currency : Object.keys(currencies)[0];
+  const money = (amount) => formatMoney(amount, safeCurrency, locale);
 
   const pkgTotal = (pkg) => {
     if (!pkg) return "";
-    const amount = pkg.price?.[safeCurrency] ?? pkg.price?.USD ?? 0;
-    if (amount === 0) return "Free";
+    const amount = pkg.price[safeCurrency];
+    if (amount === 0) return t("price.free");
     return money(amount);
   };
 
+  // Per-lesson price is always computed from the catalog price (no hand-written strings to drift)
+  const pkgPerAmount = (pkg) => perLessonPrice(pkg.price[safeCurrency], pkg.lessons, safeCurrency);
+
   const pkgPer = (pkg) => {
     if (!pkg) return "";
-    const perStr = pkg.per?.[safeCurrency];
-    if (perStr) return perStr;
-    const amount = pkg.price?.[safeCurrency] ?? pkg.price?.USD ?? 0;
-    const per = pkg.lessons ? amount / pkg.lessons : amount;
-    const rounded = Number.isFinite(per) ? Math.round(per * 100) / 100 : per;
-    return safeCurrency === "USD" ? `${CURRENCIES[safeCurrency].symbol}${rounded} per lesson` : `${rounded} KWD per lesson`;
+    if (pkg.price[safeCurrency] === 0) return pkg.lessons === 1 ? t("price.freeOnce") : t("price.free");
+    return t("price.perLesson", { price: money(pkgPerAmount(pkg)) });
+  };
+
+  const lessonsLabel = (count) => t("lessons", { count });
+
+  /**
+   * Optional recommendation quiz on Step 1 (see lib/recommendation).
+   * Answers are kept (also across reloads) and sent with the application.
+   */
+  const [quizAnswers, setQuizAnswers] = useState(loadQuizAnswers);
+  const [showQuiz, setShowQuiz] = useState(false);
+
+  const completeQuiz = (answers) => {
+    saveQuizAnswers(answers);
+    setQuizAnswers(answers);
+  };
+
+  /**
+   * Referrals (lib/referral): the code of the `?ref=` link the student came in through
+   * ("Referred by …" on Step 4, sent with the application), and the "invite a friend" card
+   * on Step 1 where existing students get their own link.
+   */
+  const [referral, setReferral] = useState(loadReferral);
+  const [showReferralCard, setShowReferralCard] = useState(false);
+  const referralRule = catalog.referralReward;
+
+  // "1 free lesson for you and 1 free lesson for your friend", from either side of the referral
+  const referralRewardText = (you, friend) => {
+    const key = !friend ? "referral.rewardYou" : !you ? "referral.rewardFriend" : "referral.rewardBoth";
+    return t(key, { you: t("referral.freeLessons", { count: you }), friend: t("referral.freeLessons", { count: friend }) });
+  };
+  const referralCondition = referralRule?.minLessons
+    ? t("referral.conditionMin", { lessons: lessonsLabel(referralRule.minLessons) })
+    : t("referral.conditionPaid");
+
+  // Step 2 layout: one card per package, or all packages in a comparison table
+  const [packageView, setPackageView] = useState("cards"); // "cards" | "compare"
+  const canCompare = Boolean(selectedType) && packages[selectedType.id].length > 1;
+
+  /**
+   * Package builder on Step 2 (lib/customPackage): any lesson count, priced from the
+   * course type's own package rates. A count that matches a catalog package opens that package.
+   */
+  const builderRange = selectedType ? customRange(packages[selectedType.id]) : null;
+  const [builderLessons, setBuilderLessons] = useState(CUSTOM_DEFAULT_LESSONS);
+  const builtPackage = builderRange
+    ? buildCustomPackage(
+        packages[selectedType.id],
+        Math.min(builderRange.max, Math.max(builderRange.min, builderLessons))
+      )
+    : null;
+
+  const chooseBuiltPackage = () => {
+    const same = packages[selectedType.id].find((p) => p.lessons === builtPackage.lessons);
+    goTo({ step: "details", packageId: same ? same.id : builtPackage.id });
   };
 
   // Form data (controlled fields)
-  const [formData, setFormData] = useState({
-    fullName: "",
-    email: "",
-    phone: "",
-    country: "",
-    // Required for Free Trial / Placement Test / Single lessons
-    preferredDate: "",
-    preferredTime: "",
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  /**
+   * Draft from a previous visit:
+   * offered back through the "continue your application" banner.
+   * Drafts pointing at a course/package that no longer exists are ignored.
+   */
+  const [pendingDraft, setPendingDraft] = useState(() => {
+    const draft = loadDraft();
+    if (!draft || !hasDraftContent(draft.formData)) return null;
+    return findPackage(packages[draft.typeId], draft.packageId) ? draft : null;
   });
 
+  const pendingDraftType = pendingDraft ? courseTypes.find((type) => type.id === pendingDraft.typeId) : null;
+  const pendingDraftPackage = pendingDraft ? packageOf(pendingDraft.typeId, pendingDraft.packageId) : null;
+
+  const resumeDraft = () => {
+    setFormData(withCurrentConsent({ ...EMPTY_FORM, ...pendingDraft.formData }));
+    navigate({ ...route, step: "apply", typeId: pendingDraft.typeId, packageId: pendingDraft.packageId });
+    setPendingDraft(null);
+  };
+
+  const discardDraft = () => {
+    clearDraft();
+    setPendingDraft(null);
+  };
+
+  // Every edit the student makes: starting on a new application dismisses the older draft's banner
+  const editForm = (update) => {
+    setPendingDraft(null);
+    setFormData(update);
+  };
+
   // Basic submit state to improve UX
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const [submitStatus, setSubmitStatus] = useState(null); // null | "success" | "error"
-  const [submitMessage, setSubmitMessage] = useState("");
+  const [submitStatus, setSubmitStatus] = useState(null); // null | "success" | "error" | "queued"
+  // { key, vars } for our own messages, { text } for a backend's message (shown as-is)
+  const [submitMessage, setSubmitMessage] = useState(null);
+
+  /**
+   * Offline queue:
+   * applications that couldn't be sent are retried in the background.
+   * `queuedKey` is the idempotency key of *this* form's queued application,
+   * so we can flip the notice to success/error once the queue settles it.
+   */
+  const [queuedKey, setQueuedKey] = useState(null);
+
+  /**
+   * The outbox as stored, so it's visible after a reload or from another visit:
+   * applications still waiting to go out, and ones the backend rejected (shown until
+   * the student tries again or dismisses them). This form's own queued application is
+   * reported on the form instead. `outboxMessage` reports a delivery from the background.
+   */
+  const [outbox, setOutbox] = useState(outboxEntries);
+  const [outboxMessage, setOutboxMessage] = useState(null);
+  const refreshOutbox = () => setOutbox(outboxEntries());
+  const failedQueued = outbox.filter((item) => item.status === "failed");
+  const pendingQueued = outbox.filter((item) => !item.status && item.key !== queuedKey);
+
+  const kickQueue = useSubmissionQueue(submitter.submit, (result) => {
+    refreshOutbox();
+    if (!queuedKey || result.key !== queuedKey) {
+      const entry = outbox.find((item) => item.key === result.key);
+      if (result.status === "sent" && entry) {
+        // Confirmed like any other application, without pulling the student off their current step
+        if (entry.record) rememberConfirmation(entry.record);
+        setOutboxMessage({ key: "submit.successQueued", record: entry.record });
+      }
+      return;
+    }
+    setQueuedKey(null);
+    if (result.status === "sent") {
+      setSubmitStatus("success");
+      setSubmitMessage({ key: "submit.successQueued" });
+      if (queuedRecord) showConfirmation(queuedRecord);
+      setQueuedRecord(null);
+    } else {
+      // The form still holds this application, so the error is shown right there
+      discardSubmission(result.key);
+      setSubmitStatus("error");
+      setSubmitMessage(errorMessage(result.error));
+    }
+  });
+
+  const retryFailed = (key) => {
+    retrySubmission(key);
+    refreshOutbox();
+    setOutboxMessage(null);
+    kickQueue();
+  };
+
+  const dismissFailed = (key) => {
+    discardSubmission(key);
+    refreshOutbox();
+  };
+
+  const queueSubmission = (payload, { retryLater, record }) => {
+    enqueueSubmission(payload, { delay: retryLater ? retryDelay(0) : 0, record });
+    refreshOutbox();
+    setQueuedKey(payload.idempotencyKey);
+    setQueuedRecord(record);
+    recordSubmission({ email: payload.email, packageId: payload.packageId });
+    setSubmitStatus("queued");
+    setSubmitMessage({ key: "submit.queued" });
+    // The queue now holds the application; a resumed draft could only cause a duplicate
+    clearDraft();
+    kickQueue();
+  };
 
   /**
    * Simple validation gate:
@@ -201,44 +694,655 @@ export default function App() {
     // Paid single lessons (the 1-lesson options in Main/Conversational)
     selectedPackage?.lessons === 1;
 
+  /**
+   * Bookable slots from the teacher availability (catalog `availability`).
+   * `clock` ticks every minute on Step 4 so slots inside the minimum notice disappear.
+   */
+  const { availability } = catalog;
+  const [clock, setClock] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (step !== "apply") return;
+    const timer = setInterval(() => setClock(Date.now()), 60_000);
+    return () => clearInterval(timer);
+  }, [step]);
+
+  const scheduleDays = useMemo(
+    () => (needsSchedule && typeId ? bookableSlots(availability, typeId, clock) : []),
+    [needsSchedule, availability, typeId, clock]
+  );
+
+  // A slot from an old draft (or one that just passed the notice window) no longer counts
+  const hasBookableSlot = isBookable(scheduleDays, formData.preferredSlot);
+
+  /**
+   * Student's time zone: detected from the browser, or picked in the form.
+   * Slots are shown in this zone, next to the academy's.
+   */
+  const [detectedTimeZone] = useState(() => detectTimeZone(availability.timeZone));
+  const studentTimeZone = formData.timeZone || detectedTimeZone;
+  const showAcademyTime = studentTimeZone !== availability.timeZone;
+
+  const timeZoneOptions = useMemo(
+    () =>
+      listTimeZones([detectedTimeZone, availability.timeZone]).map((zone) => ({
+        value: zone,
+        label: `${zone.replace(/_/g, " ")} (${utcOffsetLabel(zone)})`,
+      })),
+    [detectedTimeZone, availability.timeZone]
+  );
+
+  const slotLabel = (start, timeZone) =>
+    new Intl.DateTimeFormat(locale, {
+      timeZone,
+      weekday: "short",
+      day: "numeric",
+      month: "short",
+      hour: "numeric",
+      minute: "2-digit",
+    }).format(new Date(start));
+
+  /**
+   * Application form, generated from the course type's schema (lib/formSchema).
+   * Validation rules and payload fields come from the same schema.
+   * Errors are computed on every render but only shown once a field was blurred,
+   * so students aren't shouted at while they are still typing.
+   */
+  // Gifts are for paid packages only (free trials and tests are booked by the learner)
+  const canGift = selectedPackage?.price[safeCurrency] > 0;
+  const isGift = formData.gift && canGift;
+  const applicationFields = useMemo(() => formFields(typeId, { gift: isGift }), [typeId, isGift]);
+
+  const [touched, setTouched] = useState({});
+  const touch = (field) => setTouched((prev) => (prev[field] ? prev : { ...prev, [field]: true }));
+  const setField = (name, value) => editForm((d) => ({ ...d, [name]: value }));
+
+  // Picking a payment plan (Step 3) is part of choosing the package, not an edit of the form,
+  // so an older draft stays on offer
+  const choosePlan = (planId) => setFormData((d) => ({ ...d, paymentPlan: planId }));
+
+  const fieldErrors = validateForm(formData, schemaRules(applicationFields, formData));
+  const errorFor = (field) => (touched[field] && fieldErrors[field] ? t(fieldErrors[field]) : null);
+
+  // Picking a country prefills the phone dial code (unless the student already chose one for a typed number)
+  const setCountry = (code) =>
+    editForm((d) => ({
+      ...d,
+      country: code,
+      phoneCountry: !d.phoneCountry || !d.phone.trim() ? code : d.phoneCountry,
+    }));
+
+  /**
+   * Privacy consent (lib/consent).
+   * Unticking it withdraws consent: everything this browser saved about the application
+   * is deleted, and nothing is saved again until the student consents again.
+   * That includes the outbox, so applications still waiting to go out are withdrawn too —
+   * the notice says so, and this form's queued application is no longer reported as on its way.
+   * `consentWithdrawn` is the i18n key of that notice (null = consent not withdrawn).
+   */
+  const [consentWithdrawn, setConsentWithdrawn] = useState(null);
+
+  const setConsent = (checked) => {
+    setField("privacyConsent", checked ? giveConsent() : null);
+    if (checked) {
+      setConsentWithdrawn(null);
+    } else {
+      const withdrawsQueued = outbox.some((item) => !item.status);
+      setConsentWithdrawn(withdrawsQueued ? "consent.withdrawnQueued" : "consent.withdrawn");
+      if (queuedKey) {
+        setQueuedKey(null);
+        setQueuedRecord(null);
+        setSubmitStatus(null);
+        setSubmitMessage(null);
+      }
+      purgeApplicationData();
+      setPendingDraft(null);
+      setQuizAnswers(null);
+      setConfirmation(null);
+      setReferral(null);
+      setOutbox([]);
+      setOutboxMessage(null);
+    }
+  };
+
+  /**
+   * Last submitted application (lib/application).
+   * Shown on the confirmation step, and — for the rest of this session only — locks the form
+   * for that package so it can't be submitted twice; "Start a new application" unlocks it.
+   */
+  const [confirmation, setConfirmation] = useState(loadLastApplication);
+  const [lockRef, setLockRef] = useState(lockedReference);
+  // Application waiting in the offline queue: confirmed once the queue delivers it
+  const [queuedRecord, setQueuedRecord] = useState(null);
+
+  const confirmedType = confirmation ? courseTypes.find((type) => type.id === confirmation.typeId) : null;
+  const confirmedPackage = confirmation ? packageOf(confirmation.typeId, confirmation.packageId) : null;
+  const confirmedHere = Boolean(confirmation) && confirmation.packageId === packageId;
+  const lockedApplication = confirmedHere && confirmation.reference === lockRef;
+
+  const rememberConfirmation = (record) => {
+    saveLastApplication(record);
+    lockApplication(record.reference);
+    setLockRef(record.reference);
+    setConfirmation(record);
+  };
+
+  const showConfirmation = (record) => {
+    rememberConfirmation(record);
+    setFormData(EMPTY_FORM);
+    setTouched({});
+    navigate({ ...route, step: "confirmation", typeId: record.typeId, packageId: record.packageId });
+  };
+
+  const startNewApplication = () => {
+    forgetSubmission(confirmation);
+    clearLastApplication();
+    lockApplication(null);
+    setLockRef(null);
+    setConfirmation(null);
+    reset();
+  };
+
+  /**
+   * Requested session (trials, placement tests, single lessons) as an .ics file
+   * on the confirmation step — marked as pending until we confirm it.
+   */
+  const downloadBooking = () => {
+    const { slot, timeZone } = confirmation;
+    // The length the course type advertises (the catalog's English subtitle, so every language
+    // gets the same event); the booking duration only if the subtitle gives no number
+    const catalogType = catalog.courseTypes.find((type) => type.id === confirmation.typeId);
+    const minutes = subtitleMinutes(catalogType?.subtitle) ?? availability.durations[confirmation.typeId];
+    const ics = buildIcs({
+      uid: confirmation.reference,
+      start: slot,
+      durationMinutes: minutes,
+      title: t("ics.title", { course: confirmedType.title }),
+      description: t("ics.description", {
+        course: confirmedType.title,
+        package: confirmedPackage.title,
+        minutes,
+        time: slotLabel(slot, timeZone),
+        zone: timeZoneLabel(timeZone, locale),
+      }),
+    });
+    downloadFile(`masters-english-${confirmation.reference}.ics`, ics);
+  };
+
+  /**
+   * Printable gift card (confirmation step of a gift purchase), printed like the quote.
+   * Only one printable document is mounted at a time, so the print shows just this one.
+   */
+  const [giftCard, setGiftCard] = useState(null);
+
+  useEffect(() => {
+    if (giftCard) window.print();
+  }, [giftCard]);
+
+  const openGiftCard = () => {
+    setQuote(null);
+    setGiftCard({
+      reference: confirmation.reference,
+      recipientName: confirmation.gift.recipientName,
+      fromName: confirmation.fullName,
+      course: confirmedType.title,
+      package: confirmedPackage.title,
+      lessons: confirmedPackage.lessons,
+      message: confirmation.gift.message,
+      deliveryDate: confirmation.gift.deliveryDate,
+    });
+  };
+
+  /**
+   * Printable quote (details and apply steps).
+   * Each click issues a new reference and opens the print dialog; the print
+   * stylesheet shows only the quote, so it can be printed or saved as PDF.
+   * On the apply step a group application is quoted as on its summary: a line per learner,
+   * the family discount and the combined total, paid in full.
+   */
+  const [quote, setQuote] = useState(null);
+
+  useEffect(() => {
+    if (quote) window.print();
+  }, [quote]);
+
+  const openQuote = () => {
+    setGiftCard(null);
+    const now = Date.now();
+    const zone = availability.timeZone;
+    const discounted = step === "apply" && promo?.ok;
+    const scheduled = step === "apply" && needsSchedule && hasBookableSlot;
+    const grouped = step === "apply" && group;
+    const perLesson = pkgPerAmount(selectedPackage);
+    const quoted = grouped ? amountDue : discounted ? promo.discountedPrice : selectedPackage.price[safeCurrency];
+    const quotedPlan = grouped ? null : chosenPlan;
+    const plan = quotedPlan && quoted > 0 ? buildSchedule(quotedPlan, quoted, safeCurrency, dateInZone(now, zone)) : null;
+
+    setQuote({
+      packageId: selectedPackage.id,
+      currencyCode: safeCurrency,
+      reference: createQuoteReference(now, zone),
+      issuedOn: dateInZone(now, zone),
+      validUntil: quoteValidUntil(now, zone),
+      course: selectedType.title,
+      package: selectedPackage.title,
+      lessons: selectedPackage.lessons,
+      perLesson: perLesson === 0 ? t("price.free") : money(perLesson),
+      learners: grouped
+        ? formData.learners.map((learner, i) => {
+            const { type, pkg } = learnerChoice(learner, i);
+            const line = group.lines[i];
+            return {
+              name: learner.name.trim() || t("group.learner", { n: i + 1 }),
+              package: pkg ? `${type.title} • ${pkg.title} • ${lessonsLabel(pkg.lessons)}` : "—",
+              total: [
+                line.total === 0 ? t("price.free") : money(line.total),
+                line.discount > 0 && `(${t("group.lineDiscount", { amount: money(line.discount) })})`,
+              ]
+                .filter(Boolean)
+                .join(" "),
+            };
+          })
+        : [],
+      groupDiscount: grouped && group.rule ? `−${money(group.discount)}` : "",
+      groupPercent: grouped && group.rule ? group.rule.percent : 0,
+      currency: `${safeCurrency} — ${currencyName(safeCurrency, locale)}`,
+      schedule: scheduled
+        ? `${slotLabel(formData.preferredSlot, studentTimeZone)} (${timeZoneLabel(studentTimeZone, locale)})`
+        : "",
+      promoCode: discounted ? formData.promoCode : "",
+      discount: discounted ? `−${money(promo.discount)}` : "",
+      plan: plan
+        ? [
+            t("plan.each", { count: quotedPlan.payments, amount: money(plan.payments[0].amount) }),
+            plan.surcharge > 0 && t("plan.surcharge", { percent: quotedPlan.surchargePercent, total: money(plan.total) }),
+          ]
+            .filter(Boolean)
+            .join(", ")
+        : "",
+      total: grouped || discounted ? (quoted === 0 ? t("price.free") : money(quoted)) : pkgTotal(selectedPackage),
+    });
+  };
+
+  // Footer action: same purge, for a student who isn't on the form (e.g. a later visit)
+  const deleteSavedData = () => {
+    purgeApplicationData();
+    setQuizAnswers(null);
+    setConfirmation(null);
+    setReferral(null);
+    setOutbox([]);
+    setOutboxMessage(null);
+    reset();
+  };
+
+  // One schema field → its input (labels and options from the i18n catalogs)
+  const renderField = (field) => {
+    const { name } = field;
+    const common = {
+      label: t(`form.${name}`),
+      name,
+      value: fieldValue(field, formData),
+      onBlur: () => touch(name),
+      error: errorFor(name),
+      required: field.required,
+      placeholder: field.placeholder ? t(field.placeholder) : undefined,
+    };
+    const options = (field.options || []).map((option) => ({ value: option, label: t(`form.${name}.${option}`) }));
+
+    switch (field.type) {
+      case "country":
+        return <CountryPicker {...common} onChange={setCountry} />;
+      case "phone":
+        return (
+          <div className="phoneRow">
+            <CountryPicker
+              mode="dial"
+              label={t("form.dialCode")}
+              name="phoneCountry"
+              value={formData.phoneCountry}
+              onChange={(code) => setField("phoneCountry", code)}
+              placeholder={t("form.dialPlaceholder")}
+              required
+            />
+            <Field {...common} type="tel" onChange={(v) => setField(name, v)} autoComplete="tel-national" />
+          </div>
+        );
+      case "select":
+        return (
+          <SelectField
+            {...common}
+            onChange={(v) => setField(name, v)}
+            options={[{ value: "", label: t("form.choose") }, ...options]}
+          />
+        );
+      case "consent": {
+        const [before, after] = t("consent.privacy", { version: PRIVACY_NOTICE_VERSION }).split("{link}");
+        return (
+          <>
+            <CheckboxField
+              {...common}
+              checked={Boolean(common.value)}
+              onChange={setConsent}
+              label={
+                <>
+                  {before}
+                  <a href={PRIVACY_NOTICE_URL} target="_blank" rel="noopener noreferrer">
+                    {t("consent.privacyLink")}
+                  </a>
+                  {after}
+                </>
+              }
+            />
+            {consentWithdrawn && (
+              <div className="sub" role="status">
+                {t(consentWithdrawn)}
+              </div>
+            )}
+          </>
+        );
+      }
+      case "checkbox":
+        return (
+          <CheckboxField
+            {...common}
+            checked={Boolean(common.value)}
+            onChange={(checked) => setField(name, checked ? { at: new Date().toISOString() } : null)}
+          />
+        );
+      case "textarea":
+        return <TextAreaField {...common} onChange={(v) => setField(name, v)} maxLength={field.maxLength} />;
+      case "multiselect":
+        return (
+          <ChoiceField
+            {...common}
+            onChange={(v) => {
+              setField(name, v);
+              touch(name);
+            }}
+            options={options}
+          />
+        );
+      default:
+        return (
+          <Field {...common} type={field.type} onChange={(v) => setField(name, v)} autoComplete={field.autoComplete} />
+        );
+    }
+  };
+
+  /**
+   * Promo code (rules in the catalog, see lib/promotions).
+   * Re-checked on every render, so switching currency or package updates the discount
+   * (or explains why the code no longer applies).
+   */
+  const promo =
+    formData.promoCode && selectedPackage
+      ? applyPromotion(catalog.promotions, formData.promoCode, {
+          typeId,
+          pkg: selectedPackage,
+          currency: safeCurrency,
+          timeZone: availability.timeZone,
+          now: clock,
+        })
+      : null;
+
+  /**
+   * Group / family enrollment (lib/group).
+   * The first learner takes the selected package (and the promo code); the others pick their own,
+   * and the catalog's family discount applies across them.
+   */
+  const isGroup = formData.learners.length > 0;
+
+  // { type, pkg } (localized) of a learner; the first one is always the current selection
+  const learnerChoice = (learner, i) => {
+    if (i === 0) return { type: selectedType, pkg: selectedPackage };
+    return {
+      type: courseTypes.find((type) => type.id === learner.typeId),
+      pkg: packages[learner.typeId]?.find((p) => p.id === learner.packageId),
+    };
+  };
+
+  const singlePrice = selectedPackage ? (promo?.ok ? promo.discountedPrice : selectedPackage.price[safeCurrency]) : 0;
+  const group =
+    isGroup && selectedPackage
+      ? priceGroup(
+          catalog.groupDiscounts,
+          formData.learners.map((learner, i) => (i === 0 ? singlePrice : learnerChoice(learner, i).pkg?.price[safeCurrency] ?? 0)),
+          safeCurrency
+        )
+      : null;
+  // What the whole application costs
+  const amountDue = group ? group.total : singlePrice;
+
+  // A referral earns the catalog's reward on a paid package of the rule's size (the first learner's, in a group)
+  const earnsReferral =
+    Boolean(referral && selectedPackage) && earnsReferralReward(referralRule, selectedPackage.lessons, amountDue);
+
+  /**
+   * Installment plan (lib/installments), picked on Step 3 from the package's plans.
+   * The whole amount due is spread over the payments, the first one due today (academy calendar).
+   * Plans belong to one package, so a group application (several packages) is paid in full.
+   */
+  const chosenPlan = findPlan(selectedPackage, formData.paymentPlan);
+  const paymentPlan = isGroup ? null : chosenPlan;
+  const firstDueDate = dateInZone(clock, availability.timeZone);
+  const schedule = paymentPlan && amountDue > 0 ? buildSchedule(paymentPlan, amountDue, safeCurrency, firstDueDate) : null;
+
+  const learnerIssues = isGroup ? learnerErrors(formData.learners, packages) : [];
+  const learnerError = (i, field) => {
+    const key = `learners.${i}.${field}`;
+    return touched[key] && learnerIssues[i]?.[field] ? t(learnerIssues[i][field]) : null;
+  };
+
+  // A gift is for one recipient, so it replaces a group
+  const setGift = (on) => editForm((d) => ({ ...d, gift: on, learners: on ? [] : d.learners }));
+
+  const setGroupEnrollment = (on) => setField("learners", on ? [emptyLearner(), emptyLearner(typeId, packageId)] : []);
+  const setLearner = (i, changes) =>
+    editForm((d) => ({ ...d, learners: d.learners.map((learner, j) => (j === i ? { ...learner, ...changes } : learner)) }));
+  const addLearner = () => editForm((d) => ({ ...d, learners: [...d.learners, emptyLearner(typeId, packageId)] }));
+  const removeLearner = (i) => editForm((d) => ({ ...d, learners: d.learners.filter((_, j) => j !== i) }));
+
+  const renderLearner = (learner, i) => {
+    const { type, pkg } = learnerChoice(learner, i);
+    const line = group.lines[i];
+    const field = (name) => ({
+      name: `learners.${i}.${name}`,
+      value: learner[name],
+      onBlur: () => touch(`learners.${i}.${name}`),
+      error: learnerError(i, name),
+      required: true,
+    });
+
+    return (
+      <div key={i} className="learner">
+        <div className="learnerHead">
+          <strong>{t("group.learner", { n: i + 1 })}</strong>
+          {pkg && (
+            <span className="sub">
+              {line.total === 0 ? t("price.free") : money(line.total)}
+              {line.discount > 0 && <> ({t("group.lineDiscount", { amount: money(line.discount) })})</>}
+            </span>
+          )}
+          {i > 0 && formData.learners.length > 2 && (
+            <button type="button" className="btn ghost small" onClick={() => removeLearner(i)}>
+              {t("group.remove")}
+            </button>
+          )}
+        </div>
+        <div className="grid2small">
+          <Field
+            {...field("name")}
+            label={t("group.name")}
+            onChange={(v) => setLearner(i, { name: v })}
+            autoComplete="off"
+          />
+          <SelectField
+            {...field("ageBracket")}
+            label={t("group.ageBracket")}
+            onChange={(v) => setLearner(i, { ageBracket: v })}
+            options={[
+              { value: "", label: t("form.choose") },
+              ...AGE_BRACKETS.map((bracket) => ({ value: bracket, label: t(`group.age.${bracket}`) })),
+            ]}
+          />
+          {i === 0 ? (
+            <div className="span2 sub">{t("group.firstLearner", { course: type.title, package: pkg.title })}</div>
+          ) : (
+            <>
+              <SelectField
+                {...field("typeId")}
+                label={t("group.courseType")}
+                onChange={(v) => setLearner(i, { typeId: v, packageId: "" })}
+                options={courseTypes.map((courseType) => ({ value: courseType.id, label: courseType.title }))}
+              />
+              <SelectField
+                {...field("packageId")}
+                label={t("group.package")}
+                onChange={(v) => setLearner(i, { packageId: v })}
+                options={[
+                  { value: "", label: t("form.choose") },
+                  ...(packages[learner.typeId] || []).map((p) => ({ value: p.id, label: `${p.title} — ${pkgTotal(p)}` })),
+                ]}
+              />
+            </>
+          )}
+        </div>
+      </div>
+    );
+  };
+
   const isFormValid =
-    formData.fullName.trim() &&
-    formData.email.trim() &&
-    formData.phone.trim() &&
-    formData.country.trim() &&
-    (!needsSchedule || (formData.preferredDate.trim() && formData.preferredTime.trim()));
+    Object.keys(fieldErrors).length === 0 &&
+    learnerIssues.every((errors) => Object.keys(errors).length === 0) &&
+    // No free slots at all: still let them apply, we'll propose a time by email
+    (!needsSchedule || !scheduleDays.length || hasBookableSlot);
 
   // Reset everything back to Step 1
   const reset = () => {
-    setStep("type");
-    setTypeId(null);
-    setPackageId(null);
-    setFormData({
-      fullName: "",
-      email: "",
-      phone: "",
-      country: "",
-      preferredDate: "",
-      preferredTime: "",
-    });
+    goTo({ step: "type", typeId: null, packageId: null });
+    setFormData(EMPTY_FORM);
+    clearDraft();
+    setPendingDraft(null);
     setIsSubmitting(false);
     setSubmitStatus(null);
-    setSubmitMessage("");
+    setSubmitMessage(null);
+    setQueuedKey(null);
+    setTouched({});
+    setConsentWithdrawn(null);
+    setQueuedRecord(null);
   };
 
+  /**
+   * Autosave the draft while the student types on Step 4.
+   * Paused while an older draft is still being offered, so we don't overwrite it
+   * before the student decides (resume, discard, or start typing a new one), and after a successful submit.
+   */
+  useEffect(() => {
+    if (pendingDraft || consentWithdrawn || step !== "apply" || !typeId || !packageId) return;
+    if (submitStatus === "success" || submitStatus === "queued") return;
+    if (hasDraftContent(formData)) saveDraft({ typeId, packageId, formData });
+    else clearDraft();
+  }, [pendingDraft, consentWithdrawn, step, typeId, packageId, formData, submitStatus]);
+
+  /**
+   * When the student started on the form (for the spam guard's time-to-submit check).
+   * A ref: it must not re-render anything, only be read when submitting.
+   */
+  const formStartedAt = useRef(null);
+  useEffect(() => {
+    if (step === "apply") formStartedAt.current ??= Date.now();
+    else formStartedAt.current = null;
+  }, [step]);
+
   // Label for the header badge (small UX cue)
   const stepLabel =
     step === "type"
-      ? "Choose a course"
+      ? t("steps.type")
       : step === "packages"
-      ? "Choose a package"
+      ? t("steps.packages")
       : step === "details"
-      ? "Package details"
-      : "Apply";
+      ? t("steps.details")
+      : step === "apply"
+      ? t("steps.apply")
+      : t("steps.confirmation");
+
+  // Keep the browser tab / history entries readable
+  const documentTitle = t("document.title", { step: stepLabel });
+  useEffect(() => {
+    document.title = documentTitle;
+  }, [documentTitle]);
+
+  // Quiz answers + what we recommended, as flat payload fields
+  const quizPayload = () => {
+    if (!quizAnswers) return { quizTaken: false };
+    const rec = recommend(quizAnswers, catalog, safeCurrency);
+    return {
+      quizTaken: true,
+      quizGoal: quizAnswers.goal,
+      quizLevel: quizAnswers.level,
+      quizWeeklyLessons: quizAnswers.weekly,
+      quizBudget: quizAnswers.budget,
+      quizRecommendedPackageId: rec.packageId,
+      quizFollowedRecommendation: rec.packageId === selectedPackage.id,
+    };
+  };
+
+  /**
+   * Who pays and who learns, spelled out for the inbox: the same person,
+   * unless it's a gift (group applications list their learners in `learners`).
+   */
+  const purchasePayload = (answers) => ({
+    purchaseType: isGift ? "gift" : "self",
+    payerName: answers.fullName,
+    payerEmail: answers.email,
+    payerPhone: answers.phone,
+    learnerName: isGift ? answers.recipientName : isGroup ? "" : answers.fullName,
+    learnerEmail: isGift ? answers.recipientEmail : isGroup ? "" : answers.email,
+    giftMessage: isGift ? answers.giftMessage : "",
+    giftDeliveryDate: isGift ? answers.giftDeliveryDate : "",
+  });
+
+  /**
+   * Learners of a group application, in English for the inbox, plus the family discount.
+   * A single learner is sent as learnerCount 1 with an empty `learners` list.
+   */
+  const groupPayload = () => {
+    const learners = formData.learners.map((learner, i) => {
+      const courseTypeId = i === 0 ? selectedType.id : learner.typeId;
+      const packageId = i === 0 ? selectedPackage.id : learner.packageId;
+      const catalogPackage = findPackage(catalog.packages[courseTypeId], packageId);
+      const line = group.lines[i];
+      return {
+        name: learner.name.trim().replace(/\s+/g, " "),
+        ageBracket: learner.ageBracket,
+        courseTypeId,
+        courseType: catalog.courseTypes.find((type) => type.id === courseTypeId).title,
+        packageId,
+        packageTitle: catalogPackage.title,
+        lessons: catalogPackage.lessons,
+        price: line.price,
+        groupDiscount: line.discount,
+        total: line.total,
+        displayTotal: line.total === 0 ? "Free" : formatMoney(line.total, safeCurrency, "en"),
+      };
+    });
+
+    return {
+      groupEnrollment: isGroup,
+      learnerCount: Math.max(1, learners.length),
+      learners,
+      groupDiscountId: group?.rule?.id || "",
+      groupDiscountLabel: group?.rule?.label || "",
+      groupDiscountPercent: group?.rule?.percent || 0,
+      groupDiscount: group?.discount || 0,
+      combinedTotal: amountDue,
+      displayCombinedTotal: amountDue === 0 ? "Free" : formatMoney(amountDue, safeCurrency, "en"),
+    };
+  };
 
   /**
    * Submit handler:
-   * Sends a POST request to Formspree.
+   * Hands the payload to the configured submission adapter (Formspree by default).
    * We include both the user info AND what they selected (course + package).
    */
   const handleSubmit = async (e) => {
@@ -246,167 +1350,451 @@ export default function App() {
 
     // Guard: should never happen because the UI only shows Step 4 with selections,
     // but it keeps the function safe.
-    if (!selectedType || !selectedPackage) return;
+    if (!selectedType || !selectedPackage || lockedApplication) return;
+
+    // Spam guard (lib/spamGuard): the honeypot gets a fake success, everything else an explanation
+    const verdict = checkSubmission({
+      honeypot: e.currentTarget.elements[HONEYPOT_FIELD]?.value,
+      startedAt: formStartedAt.current,
+      email: formData.email,
+      packageId: selectedPackage.id,
+    });
+    if (verdict.bot) {
+      setSubmitStatus("success");
+      setSubmitMessage({ key: "submit.success" });
+      return;
+    }
+    if (!verdict.ok) {
+      // Too fast (e.g. a restored draft): the clock runs from now, so a second press goes through
+      if (verdict.reason === "tooFast") formStartedAt.current ??= Date.now();
+      setSubmitStatus("error");
+      setSubmitMessage(
+        verdict.reason === "tooFast"
+          ? { key: "submit.tooFast" }
+          : verdict.reason === "duplicate"
+          ? { key: "submit.duplicate" }
+          : { key: "submit.rateLimited", vars: { minutes: Math.max(1, Math.ceil(verdict.retryAfterMs / 60_000)) } }
+      );
+      return;
+    }
 
     setIsSubmitting(true);
     setSubmitStatus(null);
-    setSubmitMessage("");
+    setSubmitMessage(null);
+
+    // The inbox reads English: titles and display prices in the payload are not localized
+    const catalogType = catalog.courseTypes.find((type) => type.id === selectedType.id);
+    const catalogPackage = findPackage(catalog.packages[selectedType.id], selectedPackage.id);
+    const totalPrice = selectedPackage.price[safeCurrency];
+    const discountedPrice = promo?.ok ? promo.discountedPrice : totalPrice;
+    const slot = needsSchedule && hasBookableSlot ? formData.preferredSlot : "";
+    const reference = createReference("ME", Date.now(), availability.timeZone);
 
     try {
-      // Formspree accepts JSON if you set the Accept header.
-      // You can also submit as FormData; JSON is cleaner here.
+      const answers = schemaPayload(applicationFields, formData);
       const payload = {
-        fullName: formData.fullName,
-        email: formData.email,
-        phone: formData.phone,
-        country: formData.country,
-        preferredDate: needsSchedule ? formData.preferredDate : "",
-        preferredTime: needsSchedule ? formData.preferredTime : "",
+        // Shown to the student on the confirmation step, so their emails can be matched to this
+        applicationReference: reference,
+
+        // Form answers from the schema: normalized contact details + course-specific questions
+        ...answers,
+
+        // Payer vs. learner (they differ for gifts)
+        ...purchasePayload(answers),
+
+        /**
+         * Requested slot, readable from both sides:
+         * - preferredSlotUtc is the unambiguous value
+         * - student/academy local times carry their zone and UTC offset
+         * - preferredDate/preferredTime stay academy-local for the existing inbox columns
+         */
+        preferredSlotUtc: slot,
+        preferredDate: slot ? dateInZone(Date.parse(slot), availability.timeZone) : "",
+        preferredTime: slot ? timeInZone(Date.parse(slot), availability.timeZone) : "",
+        studentTimeZone,
+        studentLocalTime: slot ? wallClockLabel(Date.parse(slot), studentTimeZone) : "",
+        academyTimeZone: availability.timeZone,
+        academyLocalTime: slot ? wallClockLabel(Date.parse(slot), availability.timeZone) : "",
 
         // Extra context (very useful in the email you receive)
-        courseType: selectedType.title,
+        courseType: catalogType.title,
         courseTypeId: selectedType.id,
-        packageTitle: selectedPackage.title,
+        packageTitle: catalogPackage.title,
         packageId: selectedPackage.id,
+        // Built on Step 2 (lib/customPackage), priced at the rate of `customPriceTier`,
+        // or at the price of `customPriceCap` when that bigger package would cost no more
+        customPackage: Boolean(selectedPackage.custom),
+        customPriceTier: selectedPackage.tierPackageId || "",
+        customPriceCap: isPriceCapped(catalog.packages[selectedType.id], selectedPackage, safeCurrency)
+          ? selectedPackage.capPackageId
+          : "",
         lessons: selectedPackage.lessons,
         currency: safeCurrency,
-        totalPrice: selectedPackage.price?.[safeCurrency] ?? selectedPackage.price?.USD ?? 0,
-        displayTotalPrice: pkgTotal(selectedPackage),
-        displayPricePerLesson: pkgPer(selectedPackage),
+        currencySource,
+        totalPrice,
+        pricePerLesson: pkgPerAmount(selectedPackage),
+        displayTotalPrice: totalPrice === 0 ? "Free" : formatMoney(totalPrice, safeCurrency, "en"),
+        displayPricePerLesson:
+          totalPrice === 0 ? "Free" : `${formatMoney(pkgPerAmount(selectedPackage), safeCurrency, "en")} per lesson`,
+
+        // Promo code: only sent when it actually applies to this selection
+        promoCode: promo?.ok ? formData.promoCode : "",
+        promoLabel: promo?.ok ? promo.rule.label : "",
+        originalPrice: totalPrice,
+        discount: promo?.ok ? promo.discount : 0,
+        discountedPrice,
+        displayDiscountedPrice: discountedPrice === 0 ? "Free" : formatMoney(discountedPrice, safeCurrency, "en"),
+
+        // Group / family enrollment: every learner with their package, and the combined total
+        ...groupPayload(),
+
+        // Installment plan ("full" = one payment of the amount due)
+        paymentPlan: schedule ? paymentPlan.id : "full",
+        installmentCount: schedule ? paymentPlan.payments : 1,
+        installmentSurchargePercent: schedule ? paymentPlan.surchargePercent || 0 : 0,
+        installmentSurcharge: schedule ? schedule.surcharge : 0,
+        installmentTotal: schedule ? schedule.total : amountDue,
+        installments: schedule
+          ? schedule.payments.map((payment) => ({
+              ...payment,
+              displayAmount: formatMoney(payment.amount, safeCurrency, "en"),
+            }))
+          : [],
+
+        // Referral link the student came in through, and the reward it earns for this application
+        referralCode: referral?.code || "",
+        referralCapturedAt: referral?.capturedAt || "",
+        referralRewardId: earnsReferral ? referralRule.id : "",
+        referralRewardLabel: earnsReferral ? referralRule.label : "",
+        referralRefereeLessons: earnsReferral ? referralRule.refereeLessons : 0,
+        referralReferrerLessons: earnsReferral ? referralRule.referrerLessons : 0,
+
+        // Last quote printed for this selection, so the inbox can match it
+        quoteReference:
+          quote?.packageId === selectedPackage.id && quote.currencyCode === safeCurrency ? quote.reference : "",
+
+        // Recommendation quiz (empty when the student didn't take it)
+        ...quizPayload(),
+
+        // UI language the applicant used ("en" | "ar"), e.g. to reply in Arabic
+        uiLanguage: lang,
+
+        // Lets the backend (and our own queue) drop duplicates of the same application
+        idempotencyKey: createIdempotencyKey(),
+        catalogVersion: catalog.version,
       };
 
-      const res = await fetch(FORMSPREE_ENDPOINT, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Accept: "application/json",
-        },
-        body: JSON.stringify(payload),
-      });
-
-      // Formspree returns JSON responses.
-      // `res.ok` covers 2xx status codes.
-      if (!res.ok) {
-        // Try to read Formspree’s JSON error (if available)
-        let errText = "Submission failed. Please try again.";
-        try {
-          const data = await res.json();
-          if (data?.errors?.length) errText = data.errors[0].message || errText;
-        } catch {
-          // ignore JSON parsing failures
+      // What the confirmation step shows (kept locally, see lib/application)
+      const record = {
+        reference,
+        submittedAt: new Date().toISOString(),
+        typeId: selectedType.id,
+        packageId: selectedPackage.id,
+        currency: safeCurrency,
+        totalPrice,
+        discountedPrice,
+        promoCode: payload.promoCode,
+        learners: payload.learners.map(({ name, courseTypeId, packageId, total }) => ({
+          name,
+          typeId: courseTypeId,
+          packageId,
+          total,
+        })),
+        groupDiscount: payload.groupDiscount,
+        combinedTotal: payload.combinedTotal,
+        installments: schedule ? schedule.payments : [],
+        installmentSurcharge: payload.installmentSurcharge,
+        referralCode: payload.referralCode,
+        referralReward: earnsReferral
+          ? { refereeLessons: referralRule.refereeLessons, referrerLessons: referralRule.referrerLessons }
+          : null,
+        gift: isGift
+          ? {
+              recipientName: payload.recipientName,
+              recipientEmail: payload.recipientEmail,
+              message: payload.giftMessage,
+              deliveryDate: payload.giftDeliveryDate,
+            }
+          : null,
+        slot,
+        timeZone: studentTimeZone,
+        fullName: payload.fullName,
+        email: payload.email,
+        phone: payload.phone,
+        countryCode: payload.countryCode,
+        handoff: false,
+      };
+
+      // Known offline: don't even try, go straight to the queue
+      if (navigator.onLine === false) {
+        queueSubmission(payload, { retryLater: false, record });
+        return;
+      }
+
+      // Adapters throw a normalized SubmissionError, so error handling is backend-agnostic
+      let result;
+      try {
+        result = await submitter.submit(payload);
+      } catch (err) {
+        // Flaky connection / backend hiccup: keep it and retry with backoff
+        if (err instanceof SubmissionError && err.retryable) {
+          queueSubmission(payload, { retryLater: true, record });
+          return;
         }
-        throw new Error(errText);
+        throw err;
       }
+      markDelivered(payload.idempotencyKey);
+      recordSubmission({ email: payload.email, packageId: payload.packageId });
 
       setSubmitStatus("success");
-      setSubmitMessage("Submitted! We will contact you by email with the next steps.");
-
-      // Optional: keep user on the page with a confirmation state.
-      // If you prefer to go back to Step 1 after submit, call reset() instead.
-      // reset();
+      setSubmitMessage({ key: result?.handoff ? "submit.successHandoff" : "submit.success" });
+      clearDraft();
+      showConfirmation({ ...record, handoff: Boolean(result?.handoff) });
     } catch (err) {
       setSubmitStatus("error");
-      setSubmitMessage(err?.message || "Submission failed. Please try again.");
+      setSubmitMessage(errorMessage(err));
     } finally {
       setIsSubmitting(false);
     }
   };
 
-  return (
-    <div className="page">
-      {/* Inline CSS for a standalone prototype */}
-      <style>{css}</style>
-
-      {/* Top header */}
-      <header className="topbar">
-        <div className="wrap topbarInner">
-          {/* Brand button resets the flow */}
-          <button className="brand" onClick={reset} aria-label="Go to home">
-            <div className="brandName">Masters English</div>
-            <div className="brandSub">English Academy</div>
-          </button>
-          
-        </div>
-      </header>
-
-      <main className="wrap">
-        <div className="hero">
-          <h1>Pricing & Packages</h1>
-          <p>Choose a currency → choose a course type → choose a package → apply.</p>
-
-          <div className="currencyPicker" aria-label="Choose currency">
-            <span className="currencyLabel">Currency:</span>
-            <button
-              type="button"
-              className={`curBtn ${safeCurrency === "USD" ? "active" : ""}`}
-              onClick={() => setCurrency("USD")}
-            >
-              USD
-            </button>
+  return (
+    <PageShell onBrandClick={reset} onDeleteData={deleteSavedData}>
+      <div className="hero">
+        <h1>{t("hero.title")}</h1>
+        <p>{t("hero.intro")}</p>
+
+        <div className="currencyPicker" aria-label={t("currency.choose")}>
+          <span className="currencyLabel">{t("currency.label")}</span>
+          {Object.entries(currencies).map(([code, cur]) => (
             <button
+              key={code}
               type="button"
-              className={`curBtn ${safeCurrency === "KWD" ? "active" : ""}`}
-              onClick={() => setCurrency("KWD")}
+              className={`curBtn ${safeCurrency === code ? "active" : ""}`}
+              onClick={() => setCurrency(code)}
+              title={currencyName(code, locale)}
+              aria-pressed={safeCurrency === code}
             >
-              KWD
+              {cur.label}
             </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Queued applications the backend turned down */}
+      {failedQueued.map((item) => {
+        const message = errorMessage(item.error);
+        return (
+          <div key={item.key} className="notice bad draftBanner" role="alert">
+            <div>
+              <strong>{t("outbox.failedTitle")}</strong>{" "}
+              {t("outbox.failedText", {
+                course: courseTypes.find((type) => type.id === item.payload.courseTypeId)?.title ?? item.payload.courseType,
+                package: packageOf(item.payload.courseTypeId, item.payload.packageId)?.title ?? item.payload.packageTitle,
+                reference: item.payload.applicationReference,
+              })}{" "}
+              {message.text ?? t(message.key, message.vars)}
+            </div>
+            <div className="row">
+              <Button onClick={() => retryFailed(item.key)}>{t("outbox.retry")}</Button>
+              <Button variant="ghost" onClick={() => dismissFailed(item.key)}>
+                {t("outbox.dismiss")}
+              </Button>
+            </div>
+          </div>
+        );
+      })}
+      {pendingQueued.map((item) => (
+        <div key={item.key} className="notice info draftBanner" role="status">
+          <div>
+            <strong>{t("outbox.pendingTitle")}</strong>{" "}
+            {t("outbox.pendingText", {
+              course: courseTypes.find((type) => type.id === item.payload.courseTypeId)?.title ?? item.payload.courseType,
+              package: packageOf(item.payload.courseTypeId, item.payload.packageId)?.title ?? item.payload.packageTitle,
+              reference: item.payload.applicationReference,
+            })}
+          </div>
+        </div>
+      ))}
+      {outboxMessage && (
+        <div className="notice ok draftBanner" role="status">
+          <div>{t(outboxMessage.key, outboxMessage.vars)}</div>
+          {outboxMessage.record && (
+            <div className="row">
+              <Button
+                variant="ghost"
+                onClick={() => {
+                  const { typeId: confirmedTypeId, packageId: confirmedPackageId } = outboxMessage.record;
+                  setOutboxMessage(null);
+                  navigate({ ...route, step: "confirmation", typeId: confirmedTypeId, packageId: confirmedPackageId });
+                }}
+              >
+                {t("outbox.viewConfirmation")}
+              </Button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Unfinished application from a previous visit */}
+      {pendingDraft && (
+        <div className="notice info draftBanner" role="status">
+          <div>
+            <strong>{t("draft.title")}</strong>{" "}
+            {t("draft.text", {
+              course: pendingDraftType.title,
+              package: pendingDraftPackage.title,
+              date: new Date(pendingDraft.savedAt).toLocaleDateString(locale),
+            })}
+          </div>
+          <div className="row">
+            <Button onClick={resumeDraft}>{t("draft.resume")}</Button>
+            <Button variant="ghost" onClick={discardDraft}>
+              {t("draft.discard")}
+            </Button>
           </div>
         </div>
+      )}
+
+      {/* STEP 1: Choose course type */}
+      {step === "type" && (
+        <>
+          {referral && (
+            <div className="notice info fit referralNotice" role="status">
+              {t("referral.welcome", { code: referral.code })}{" "}
+              {referralRule &&
+                `${referralRewardText(referralRule.refereeLessons, referralRule.referrerLessons)}. ${referralCondition}`}
+            </div>
+          )}
+
+          <div className="fit quizCard">
+            <Card>
+              {showQuiz ? (
+                <RecommendationQuiz
+                  catalog={{ courseTypes, packages }}
+                  currency={safeCurrency}
+                  answers={quizAnswers}
+                  onComplete={completeQuiz}
+                  onChoose={(quizTypeId, quizPackageId) => {
+                    setShowQuiz(false);
+                    goTo({ step: "details", typeId: quizTypeId, packageId: quizPackageId });
+                  }}
+                  onClose={() => setShowQuiz(false)}
+                />
+              ) : (
+                <div className="cardHead">
+                  <div>
+                    <div className="title">{t("quiz.teaserTitle")}</div>
+                    <div className="sub">{t("quiz.teaserText")}</div>
+                  </div>
+                  <Button variant="ghost" onClick={() => setShowQuiz(true)}>
+                    {quizAnswers ? t("quiz.showResult") : t("quiz.start")}
+                  </Button>
+                </div>
+              )}
+            </Card>
+          </div>
 
-        {/* STEP 1: Choose course type */}
-        {step === "type" && (
           <div className="grid3 fit">
-            {COURSE_TYPES.map((t) => (
-              <Card key={t.id}>
+            {courseTypes.map((type) => (
+              <Card key={type.id}>
                 <div className="cardHead">
                   <div>
-                    <div className="kicker">Course option</div>
-                    <div className="title">{t.title}</div>
-                    <div className="sub">{t.subtitle}</div>
+                    <div className="kicker">{t("type.kicker")}</div>
+                    <div className="title">{type.title}</div>
+                    <div className="sub">{type.subtitle}</div>
                   </div>
-                  <Badge>Step 1</Badge>
+                  <Badge>{t("steps.badge", { n: 1 })}</Badge>
                 </div>
 
-                <div className="desc">{t.description}</div>
+                <div className="desc">{type.description}</div>
 
                 <div className="row">
                   <Button
-                    onClick={() => {
-                      setTypeId(t.id);
-                      setPackageId(null);
-                      setStep("packages");
-                    }}
+                    onClick={() => goTo({ step: "packages", typeId: type.id, packageId: null })}
                   >
-                    View packages
+                    {t("type.viewPackages")}
                   </Button>
                 </div>
               </Card>
             ))}
           </div>
-        )}
 
-        {/* STEP 2: Choose package */}
-        {step === "packages" && selectedType && (
-          <>
-            <div className="sectionHead">
-              <div>
-                <div className="kicker">{selectedType.title}</div>
-                <h2>Choose your package</h2>
-              </div>
+          {/* Existing students: their own referral link */}
+          <div className="fit referralCard">
+            <Card>
+              {showReferralCard ? (
+                <ReferralLinkCard
+                  rewardText={
+                    referralRule &&
+                    t("referral.shareReward", {
+                      reward: referralRewardText(referralRule.referrerLessons, referralRule.refereeLessons),
+                      condition: referralCondition,
+                    })
+                  }
+                  onClose={() => setShowReferralCard(false)}
+                />
+              ) : (
+                <div className="cardHead">
+                  <div>
+                    <div className="title">{t("referral.teaserTitle")}</div>
+                    <div className="sub">{t("referral.teaserText")}</div>
+                  </div>
+                  <Button variant="ghost" onClick={() => setShowReferralCard(true)}>
+                    {t("referral.getLink")}
+                  </Button>
+                </div>
+              )}
+            </Card>
+          </div>
+        </>
+      )}
+
+      {/* STEP 2: Choose package */}
+      {step === "packages" && selectedType && (
+        <>
+          <div className="sectionHead">
+            <div>
+              <div className="kicker">{selectedType.title}</div>
+              <h2>{t("packages.heading")}</h2>
+            </div>
+            <div className="sectionActions">
+              {canCompare && (
+                <div className="viewSwitch" role="group" aria-label={t("packages.view")}>
+                  {["cards", "compare"].map((view) => (
+                    <button
+                      key={view}
+                      type="button"
+                      className={`curBtn ${packageView === view ? "active" : ""}`}
+                      onClick={() => setPackageView(view)}
+                      aria-pressed={packageView === view}
+                    >
+                      {t(`packages.view.${view}`)}
+                    </button>
+                  ))}
+                </div>
+              )}
               <Button
                 variant="ghost"
                 type="button"
-                onClick={() => {
-                  setPackageId(null);
-                  setStep("type");
-                }}
+                onClick={() => goTo({ step: "type", typeId: null, packageId: null })}
               >
-                Back
+                {t("common.back")}
               </Button>
             </div>
+          </div>
 
+          {canCompare && packageView === "compare" ? (
+            <Card>
+              <PackageComparison
+                packages={packages[selectedType.id]}
+                currency={safeCurrency}
+                onSelect={(id) => goTo({ step: "details", packageId: id })}
+              />
+            </Card>
+          ) : (
             <div className="grid3">
-              {PACKAGES[selectedType.id].map((p) => (
+              {packages[selectedType.id].map((p) => (
                 <Card key={p.id}>
                   <div className="cardHead">
                     <div>
@@ -418,228 +1806,666 @@ export default function App() {
                   </div>
 
                   <div className="pillRow">
-                    <span className="pill">
-                      {p.lessons} lesson{p.lessons === 1 ? "" : "s"}
-                    </span>
+                    <span className="pill">{lessonsLabel(p.lessons)}</span>
                   </div>
 
                   <div className="row">
                     <Button
-                      onClick={() => {
-                        setPackageId(p.id);
-                        setStep("details");
-                      }}
+                      onClick={() => goTo({ step: "details", packageId: p.id })}
                     >
-                      View details
+                      {t("packages.viewDetails")}
                     </Button>
                   </div>
                 </Card>
               ))}
             </div>
-          </>
-        )}
+          )}
 
-        {/* STEP 3: Package details */}
-        {step === "details" && selectedType && selectedPackage && (
-          <div className="grid2 fit">
-            <Card>
+          {/* Build your own: any lesson count, priced from the packages above */}
+          {builtPackage && (
+            <Card className="builderCard">
               <div className="cardHead">
                 <div>
-                  <div className="kicker">{selectedType.title}</div>
-                  <div className="title">{selectedPackage.title}</div>
-                  <div className="sub">{pkgPer(selectedPackage)}</div>
+                  <div className="kicker">{t("custom.kicker")}</div>
+                  <div className="title">{t("custom.heading")}</div>
+                  <div className="sub">{t("custom.text")}</div>
                 </div>
-                <Badge className="price">{pkgTotal(selectedPackage)}</Badge>
+                <Badge className="price">{pkgTotal(builtPackage)}</Badge>
               </div>
 
-              <div className="detailBox">
-                <div className="detailTitle">What you selected</div>
-                <div className="detailText">
-                  {selectedPackage.lessons} lesson{selectedPackage.lessons === 1 ? "" : "s"} •{" "}
-                  {selectedType.subtitle}
-                </div>
+              <label className="field">
+                <span className="label">{lessonsLabel(builtPackage.lessons)}</span>
+                <input
+                  type="range"
+                  className="lessonSlider"
+                  name="customLessons"
+                  min={builderRange.min}
+                  max={builderRange.max}
+                  step={1}
+                  value={builtPackage.lessons}
+                  onChange={(e) => setBuilderLessons(Number(e.target.value))}
+                  aria-valuetext={lessonsLabel(builtPackage.lessons)}
+                />
+              </label>
+
+              <div className="sub">
+                {pkgPer(builtPackage)} •{" "}
+                {isPriceCapped(packages[selectedType.id], builtPackage, safeCurrency)
+                  ? t("custom.capped", {
+                      package: packages[selectedType.id].find((p) => p.id === builtPackage.capPackageId).title,
+                    })
+                  : t("custom.tier", {
+                      package: packages[selectedType.id].find((p) => p.id === builtPackage.tierPackageId).title,
+                    })}
               </div>
 
               <div className="row">
-                <Button variant="ghost" type="button" onClick={() => setStep("packages")}>
-                  Back
-                </Button>
-                <Button type="button" onClick={() => setStep("apply")}>
-                  Apply now
-                </Button>
+                <Button onClick={chooseBuiltPackage}>{t("custom.choose")}</Button>
               </div>
             </Card>
+          )}
+        </>
+      )}
+
+      {/* STEP 3: Package details */}
+      {step === "details" && selectedType && selectedPackage && (
+        <div className="grid2 fit">
+          <Card>
+            <div className="cardHead">
+              <div>
+                <div className="kicker">{selectedType.title}</div>
+                <div className="title">{selectedPackage.title}</div>
+                <div className="sub">{pkgPer(selectedPackage)}</div>
+              </div>
+              <Badge className="price">{pkgTotal(selectedPackage)}</Badge>
+            </div>
 
-            <Card>
-              <div className="title" style={{ marginBottom: 6 }}>
-                How it works
+            <div className="detailBox">
+              <div className="detailTitle">{t("details.selected")}</div>
+              <div className="detailText">
+                {lessonsLabel(selectedPackage.lessons)} • {selectedType.subtitle}
               </div>
-              <ol className="list">
-                <li>Apply for a course</li>
-                <li>We contact you</li>
-                <li>Start learning</li>
-              </ol>
-            </Card>
-          </div>
-        )}
+            </div>
 
-        {/* STEP 4: Application form (POST → Formspree) */}
-        {step === "apply" && selectedType && selectedPackage && (
-          <div className="grid2 fit">
-            <Card>
-              <div className="cardHead">
-                <div>
-                  <div className="kicker">Applying for</div>
-                  <div className="title">
-                    {selectedType.title} • {selectedPackage.title}
-                  </div>
-                  <div className="sub">
-                    {selectedPackage.lessons} lesson{selectedPackage.lessons === 1 ? "" : "s"} •{" "}
-                    {pkgTotal(selectedPackage)}
-                  </div>
+            {/* Installment plans, when the package offers any */}
+            {installmentPlans(selectedPackage).length > 0 && (
+              <div className="detailBox">
+                <div className="detailTitle">{t("plan.title")}</div>
+                <div className="planOptions" role="group" aria-label={t("plan.title")}>
+                  {[null, ...installmentPlans(selectedPackage)].map((plan) => {
+                    const active = (chosenPlan?.id ?? PAY_IN_FULL) === (plan?.id ?? PAY_IN_FULL);
+                    const preview =
+                      plan && buildSchedule(plan, selectedPackage.price[safeCurrency], safeCurrency, firstDueDate);
+                    return (
+                      <button
+                        key={plan?.id ?? "full"}
+                        type="button"
+                        className={`planOption ${active ? "active" : ""}`}
+                        aria-pressed={active}
+                        onClick={() => choosePlan(plan?.id ?? PAY_IN_FULL)}
+                      >
+                        <strong>{plan ? t("plan.monthly", { count: plan.payments }) : t("plan.full")}</strong>
+                        <span className="sub">
+                          {plan
+                            ? t("plan.each", { count: plan.payments, amount: money(preview.payments[0].amount) })
+                            : pkgTotal(selectedPackage)}
+                        </span>
+                        {plan && (
+                          <span className="sub">
+                            {preview.surcharge > 0
+                              ? t("plan.surcharge", { percent: plan.surchargePercent, total: money(preview.total) })
+                              : t("plan.noSurcharge")}
+                          </span>
+                        )}
+                      </button>
+                    );
+                  })}
                 </div>
-                <Badge>Step 4</Badge>
               </div>
+            )}
 
-              {/*
-                We use a React submit handler so we can:
-                - show loading state
-                - show success/error message
-                - include extra selection data in the submission
-              */}
-              <form className="form" onSubmit={handleSubmit}>
-                <div className="grid2small">
-                  <Field
-                    label="Full name"
-                    name="fullName"
-                    value={formData.fullName}
-                    onChange={(v) => setFormData((d) => ({ ...d, fullName: v }))}
-                    placeholder="Your full name"
-                    required
-                  />
-                  <Field
-                    label="Email"
-                    name="email"
-                    type="email"
-                    value={formData.email}
-                    onChange={(v) => setFormData((d) => ({ ...d, email: v }))}
-                    placeholder="you@example.com"
-                    required
-                  />
+            <div className="row">
+              <Button variant="ghost" type="button" onClick={() => goTo({ step: "packages" })}>
+                {t("common.back")}
+              </Button>
+              <Button variant="ghost" type="button" onClick={openQuote}>
+                {t("quote.download")}
+              </Button>
+              <Button type="button" onClick={() => goTo({ step: "apply" })}>
+                {t("details.applyNow")}
+              </Button>
+            </div>
+          </Card>
+
+          <Card>
+            <div className="title" style={{ marginBottom: 6 }}>
+              {t("details.howItWorks")}
+            </div>
+            <ol className="list">
+              <li>{t("details.how1")}</li>
+              <li>{t("details.how2")}</li>
+              <li>{t("details.how3")}</li>
+            </ol>
+          </Card>
+        </div>
+      )}
+
+      {/* STEP 4: Application form (POST → submission adapter) */}
+      {/* A submitted application locks its form: no accidental second submission */}
+      {step === "apply" && selectedType && selectedPackage && lockedApplication && (
+        <Card>
+          <div className="title" style={{ marginBottom: 6 }}>
+            {t("confirm.lockedTitle")}
+          </div>
+          <div className="desc">{t("confirm.lockedText", { reference: confirmation.reference })}</div>
+          <div className="row">
+            <Button variant="ghost" onClick={() => goTo({ step: "confirmation" })}>
+              {t("confirm.view")}
+            </Button>
+            <Button onClick={startNewApplication}>{t("confirm.startNew")}</Button>
+          </div>
+        </Card>
+      )}
+
+      {step === "apply" && selectedType && selectedPackage && !lockedApplication && (
+        <div className="grid2 fit">
+          <Card>
+            <div className="cardHead">
+              <div>
+                <div className="kicker">{t("apply.kicker")}</div>
+                <div className="title">
+                  {selectedType.title} • {selectedPackage.title}
+                </div>
+                <div className="sub">
+                  {lessonsLabel(selectedPackage.lessons)} • {pkgTotal(selectedPackage)}
                 </div>
+              </div>
+              <Badge>{t("steps.badge", { n: 4 })}</Badge>
+            </div>
 
-                <div className="grid2small">
-                  <Field
-                    label="Phone number"
-                    name="phone"
-                    value={formData.phone}
-                    onChange={(v) => setFormData((d) => ({ ...d, phone: v }))}
-                    placeholder="+49 ..."
-                    required
-                  />
-                  <Field
-                    label="Country of residence"
-                    name="country"
-                    value={formData.country}
-                    onChange={(v) => setFormData((d) => ({ ...d, country: v }))}
-                    placeholder="Germany"
-                    required
+            {/*
+              We use a React submit handler so we can:
+              - show loading state
+              - show success/error message
+              - include extra selection data in the submission
+            */}
+            <form className="form" onSubmit={handleSubmit}>
+              {/* Honeypot: hidden from people (and screen readers), filled in by bots */}
+              <div className="hp" aria-hidden="true">
+                <label>
+                  Leave this field empty
+                  <input type="text" name={HONEYPOT_FIELD} tabIndex={-1} autoComplete="off" defaultValue="" />
+                </label>
+              </div>
+
+              {/* Buying for someone else: buyer pays, recipient learns */}
+              {canGift && (
+                <div className="detailBox">
+                  <CheckboxField name="gift" label={t("gift.toggle")} checked={isGift} onChange={setGift} />
+                  {isGift && <div className="sub">{t("gift.hint")}</div>}
+                </div>
+              )}
+
+              {/* One application for several learners (parents, friends sharing sessions) */}
+              {!isGift && (
+                <div className="detailBox">
+                  <CheckboxField
+                    name="groupEnrollment"
+                    label={t("group.toggle")}
+                    checked={isGroup}
+                    onChange={setGroupEnrollment}
                   />
+                  {isGroup && (
+                    <>
+                      <div className="sub">{t("group.contactHint")}</div>
+                      {formData.learners.map(renderLearner)}
+                      <div className="row learnerActions">
+                        {formData.learners.length < MAX_LEARNERS && (
+                          <Button variant="ghost" onClick={addLearner}>
+                            {t("group.add")}
+                          </Button>
+                        )}
+                        <span className="sub">
+                          {group.rule
+                            ? t("group.discountApplied", { percent: group.rule.percent })
+                            : catalog.groupDiscounts.length > 0 && t("group.discountHint")}
+                        </span>
+                      </div>
+                    </>
+                  )}
                 </div>
+              )}
 
-                {/* Only for Free Trial / Placement Test / Single lessons */}
-                {needsSchedule && (
-                  <div className="detailBox" style={{ marginTop: 4 }}>
-                    <div className="detailTitle">Preferred date & time</div>
-                    <div className="grid2small" style={{ marginTop: 10 }}>
-                      <Field
-                        label="Preferred date"
-                        name="preferredDate"
-                        type="date"
-                        value={formData.preferredDate}
-                        onChange={(v) => setFormData((d) => ({ ...d, preferredDate: v }))}
-                        required
-                      />
-                      <Field
-                        label="Preferred time"
-                        name="preferredTime"
-                        type="time"
-                        value={formData.preferredTime}
-                        onChange={(v) => setFormData((d) => ({ ...d, preferredTime: v }))}
-                        required
+              <div className="grid2small">
+                {visibleFields(applicationFields, formData).map((field) => (
+                  <div key={field.name} className={field.full ? "span2" : undefined}>
+                    {renderField(field)}
+                  </div>
+                ))}
+              </div>
+
+              {/* Only for Free Trial / Placement Test / Single lessons */}
+              {needsSchedule && (
+                <div className="detailBox" style={{ marginTop: 4 }}>
+                  <div className="detailTitle">{t("form.scheduleTitle")}</div>
+                  {scheduleDays.length > 0 && (
+                    <div style={{ marginTop: 10 }}>
+                      <SelectField
+                        label={t("form.timeZone")}
+                        name="timeZone"
+                        value={studentTimeZone}
+                        onChange={(v) => editForm((d) => ({ ...d, timeZone: v }))}
+                        options={timeZoneOptions}
                       />
                     </div>
+                  )}
+                  <div style={{ marginTop: 10 }}>
+                    <SlotPicker
+                      days={scheduleDays}
+                      value={formData.preferredSlot}
+                      onChange={(v) => editForm((d) => ({ ...d, preferredSlot: v }))}
+                      timeZone={studentTimeZone}
+                      academyTimeZone={availability.timeZone}
+                    />
+                  </div>
+                  {scheduleDays.length > 0 && (
                     <div className="sub" style={{ marginTop: 8 }}>
-                      We’ll confirm the exact time by email.
+                      {showAcademyTime
+                        ? t("slots.zoneHintBoth", {
+                            zone: timeZoneLabel(studentTimeZone, locale),
+                            academyZone: timeZoneLabel(availability.timeZone, locale),
+                          })
+                        : t("slots.zoneHint", { zone: timeZoneLabel(studentTimeZone, locale) })}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {selectedPackage.price[safeCurrency] > 0 && (
+                <PromoCodeField
+                  value={formData.promoCode}
+                  result={promo}
+                  discountLabel={promo?.ok ? money(promo.discount) : ""}
+                  onApply={(code) => editForm((d) => ({ ...d, promoCode: normalizePromoCode(code) }))}
+                  onRemove={() => editForm((d) => ({ ...d, promoCode: "" }))}
+                />
+              )}
+
+              {/* Submission feedback */}
+              {submitStatus && (
+                <div
+                  className={`notice ${
+                    submitStatus === "success" ? "ok" : submitStatus === "queued" ? "info" : "bad"
+                  }`}
+                  role="status"
+                  aria-live="polite"
+                >
+                  {submitMessage?.text ?? t(submitMessage?.key, submitMessage?.vars)}
+                </div>
+              )}
+
+              <div className="row">
+                <Button variant="ghost" type="button" onClick={() => goTo({ step: "details" })}>
+                  {t("common.back")}
+                </Button>
+                <Button type="submit" disabled={!isFormValid || isSubmitting || submitStatus === "queued"}>
+                  {isSubmitting
+                    ? t("submit.submitting")
+                    : submitStatus === "queued"
+                    ? t("submit.queuedButton")
+                    : t("submit.button")}
+                </Button>
+              </div>
+            </form>
+          </Card>
+
+          {/* A small summary card helps reduce mistakes and increases trust */}
+          <Card>
+            <div className="title" style={{ marginBottom: 6 }}>
+              {t("summary.nextStep")}
+            </div>
+            <div className="desc">{t("summary.nextStepText")}</div>
+
+            <div className="detailBox" style={{ marginTop: 14 }}>
+              <div className="detailTitle">{t("summary.title")}</div>
+              <div className="detailText" style={{ marginTop: 8 }}>
+                {group ? (
+                  <>
+                    {formData.learners.map((learner, n) => {
+                      const { type, pkg } = learnerChoice(learner, n);
+                      const line = group.lines[n];
+                      return (
+                        <div key={n} className="summaryLearner">
+                          <strong>{learner.name.trim() || t("group.learner", { n: n + 1 })}</strong>
+                          <div className="sub">
+                            {pkg ? `${type.title} • ${pkg.title} • ${lessonsLabel(pkg.lessons)}` : "—"}
+                          </div>
+                          {pkg && (
+                            <div>
+                              {line.discount > 0 && (
+                                <>
+                                  <s className="muted">{money(line.price)}</s>{" "}
+                                </>
+                              )}
+                              {line.total === 0 ? t("price.free") : money(line.total)}
+                            </div>
+                          )}
+                        </div>
+                      );
+                    })}
+                    {promo?.ok && (
+                      <div>
+                        <strong>{t("summary.discount", { code: formData.promoCode })}</strong> −{money(promo.discount)}
+                      </div>
+                    )}
+                    {group.rule && (
+                      <div>
+                        <strong>{t("summary.groupDiscount", { percent: group.rule.percent })}</strong> −
+                        {money(group.discount)}
+                      </div>
+                    )}
+                    <div>
+                      <strong>{t("summary.combinedTotal")}</strong> {amountDue === 0 ? t("price.free") : money(amountDue)}
+                    </div>
+                  </>
+                ) : (
+                  <>
+                    <div>
+                      <strong>{t("summary.course")}</strong> {selectedType.title}
+                    </div>
+                    <div>
+                      <strong>{t("summary.package")}</strong> {selectedPackage.title}
+                    </div>
+                    <div>
+                      <strong>{t("summary.lessons")}</strong> {selectedPackage.lessons.toLocaleString(locale)}
                     </div>
+                    {promo?.ok ? (
+                      <>
+                        <div>
+                          <strong>{t("summary.discount", { code: formData.promoCode })}</strong> −{money(promo.discount)}
+                        </div>
+                        <div>
+                          <strong>{t("summary.total")}</strong> <s className="muted">{pkgTotal(selectedPackage)}</s>{" "}
+                          {promo.discountedPrice === 0 ? t("price.free") : money(promo.discountedPrice)}
+                        </div>
+                      </>
+                    ) : (
+                      <div>
+                        <strong>{t("summary.total")}</strong> {pkgTotal(selectedPackage)}
+                      </div>
+                    )}
+                  </>
+                )}
+                {isGroup && chosenPlan && (
+                  <div>
+                    <strong>{t("summary.plan")}</strong> {t("plan.full")}
+                    <div className="sub">{t("plan.groupFull")}</div>
                   </div>
                 )}
-
-                {/* Submission feedback */}
-                {submitStatus && (
-                  <div
-                    className={`notice ${submitStatus === "success" ? "ok" : "bad"}`}
-                    role="status"
-                    aria-live="polite"
-                  >
-                    {submitMessage}
+                {schedule && (
+                  <div>
+                    <strong>{t("summary.plan")}</strong> {t("plan.monthly", { count: paymentPlan.payments })}
+                    {schedule.surcharge > 0 && (
+                      <div className="sub">
+                        {t("plan.surcharge", { percent: paymentPlan.surchargePercent, total: money(schedule.total) })}
+                      </div>
+                    )}
+                    <ol className="scheduleList">
+                      {schedule.payments.map((payment) => (
+                        <li key={payment.dueDate}>
+                          {dateLabel(payment.dueDate, locale)} — {money(payment.amount)}
+                        </li>
+                      ))}
+                    </ol>
+                  </div>
+                )}
+                {isGift && (
+                  <div>
+                    <strong>{t("summary.giftFor")}</strong> {formData.recipientName?.trim() || "—"}
+                  </div>
+                )}
+                {referral && (
+                  <div>
+                    <strong>{t("summary.referredBy")}</strong> <bdi>{referral.code}</bdi>
+                    {referralRule && (
+                      <div className="sub">
+                        {earnsReferral
+                          ? referralRewardText(referralRule.refereeLessons, referralRule.referrerLessons)
+                          : referralCondition}
+                      </div>
+                    )}
                   </div>
                 )}
+                {needsSchedule && (
+                  <div>
+                    <strong>{t("summary.slot")}</strong>{" "}
+                    {hasBookableSlot ? slotLabel(formData.preferredSlot, studentTimeZone) : "—"}
+                    {hasBookableSlot && showAcademyTime && (
+                      <div className="sub" style={{ marginTop: 2 }}>
+                        {t("summary.slotAcademy", { time: slotLabel(formData.preferredSlot, availability.timeZone) })}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            </div>
 
-                <div className="row">
-                  <Button variant="ghost" type="button" onClick={() => setStep("details")}>
-                    Back
-                  </Button>
-                  <Button type="submit" disabled={!isFormValid || isSubmitting}>
-                    {isSubmitting ? "Submitting..." : "Submit application"}
+            <div className="row">
+              <Button variant="ghost" type="button" onClick={openQuote}>
+                {t("quote.download")}
+              </Button>
+            </div>
+          </Card>
+        </div>
+      )}
+
+      {/* STEP 5: Confirmation (what was sent, with its reference) */}
+      {step === "confirmation" && confirmedHere && confirmedType && confirmedPackage && (
+        <div className="grid2 fit">
+          <Card>
+            <div className="kicker">{t("confirm.kicker")}</div>
+            <div className="title">{t("confirm.title")}</div>
+            <div className="referenceBox">
+              <div className="sub">{t("confirm.reference")}</div>
+              <div className="reference">{confirmation.reference}</div>
+              <div className="sub">{t("confirm.referenceHint")}</div>
+            </div>
+
+            <div className={`notice ${confirmation.handoff ? "info" : "ok"}`} role="status">
+              {t(confirmation.handoff ? "submit.successHandoff" : "submit.success")}
+            </div>
+
+            <div className="title" style={{ marginTop: 16, fontSize: 16 }}>
+              {t("confirm.nextTitle")}
+            </div>
+            <ol className="list">
+              <li>{t("confirm.next1", { email: confirmation.email })}</li>
+              <li>{t(confirmation.slot ? "confirm.next2Slot" : "confirm.next2")}</li>
+              <li>
+                {!confirmation.gift
+                  ? t("confirm.next3")
+                  : confirmation.gift.deliveryDate
+                  ? t("confirm.next3GiftDate", {
+                      name: confirmation.gift.recipientName,
+                      date: dateLabel(confirmation.gift.deliveryDate, locale),
+                    })
+                  : t("confirm.next3Gift", { name: confirmation.gift.recipientName })}
+              </li>
+            </ol>
+
+            {confirmation.gift && (
+              <div className="detailBox">
+                <div className="detailTitle">{t("gift.heading", { name: confirmation.gift.recipientName })}</div>
+                <div className="detailText">{t("gift.cardText")}</div>
+                <div className="row" style={{ marginTop: 10 }}>
+                  <Button variant="ghost" onClick={openGiftCard}>
+                    {t("gift.printCard")}
                   </Button>
                 </div>
-              </form>
-            </Card>
+              </div>
+            )}
 
-            {/* A small summary card helps reduce mistakes and increases trust */}
-            <Card>
-              <div className="title" style={{ marginBottom: 6 }}>
-                Next step
+            {confirmation.slot && (
+              <div className="detailBox">
+                <div className="detailTitle">{t("ics.heading")}</div>
+                <div className="detailText">
+                  {t("ics.text", { time: slotLabel(confirmation.slot, confirmation.timeZone) })}
+                </div>
+                <div className="row" style={{ marginTop: 10 }}>
+                  <Button variant="ghost" onClick={downloadBooking}>
+                    {t("ics.download")}
+                  </Button>
+                </div>
               </div>
-              <div className="desc">You will receive a confirmation email with the next steps.</div>
+            )}
 
-              <div className="detailBox" style={{ marginTop: 14 }}>
-                <div className="detailTitle">Your selection</div>
-                <div className="detailText" style={{ marginTop: 8 }}>
+            <div className="row">
+              <Button onClick={startNewApplication}>{t("confirm.startNew")}</Button>
+            </div>
+          </Card>
+
+          <Card>
+            <div className="detailBox">
+              <div className="detailTitle">{t("summary.title")}</div>
+              <div className="detailText" style={{ marginTop: 8 }}>
+                {confirmation.learners?.length > 0 ? (
+                  confirmation.learners.map((learner, i) => {
+                    const type = courseTypes.find((courseType) => courseType.id === learner.typeId);
+                    const pkg = packageOf(learner.typeId, learner.packageId);
+                    return (
+                      <div key={i} className="summaryLearner">
+                        <strong>{learner.name}</strong>
+                        <div className="sub">
+                          {type?.title} • {pkg?.title}
+                        </div>
+                        <div>
+                          {learner.total === 0 ? t("price.free") : formatMoney(learner.total, confirmation.currency, locale)}
+                        </div>
+                      </div>
+                    );
+                  })
+                ) : (
+                  <>
+                    <div>
+                      <strong>{t("summary.course")}</strong> {confirmedType.title}
+                    </div>
+                    <div>
+                      <strong>{t("summary.package")}</strong> {confirmedPackage.title}
+                    </div>
+                    <div>
+                      <strong>{t("summary.lessons")}</strong> {confirmedPackage.lessons.toLocaleString(locale)}
+                    </div>
+                  </>
+                )}
+                {confirmation.promoCode && confirmation.discountedPrice !== confirmation.totalPrice && (
+                  <div>
+                    <strong>{t("summary.discount", { code: confirmation.promoCode })}</strong> −
+                    {formatMoney(confirmation.totalPrice - confirmation.discountedPrice, confirmation.currency, locale)}
+                  </div>
+                )}
+                {confirmation.groupDiscount > 0 && (
                   <div>
-                    <strong>Course:</strong> {selectedType.title}
+                    <strong>{t("summary.groupDiscountTotal")}</strong> −
+                    {formatMoney(confirmation.groupDiscount, confirmation.currency, locale)}
                   </div>
+                )}
+                <div>
+                  <strong>{t(confirmation.learners?.length > 0 ? "summary.combinedTotal" : "summary.total")}</strong>{" "}
+                  {(confirmation.combinedTotal ?? confirmation.discountedPrice) === 0
+                    ? t("price.free")
+                    : formatMoney(confirmation.combinedTotal ?? confirmation.discountedPrice, confirmation.currency, locale)}
+                </div>
+                {confirmation.installments?.length > 0 && (
                   <div>
-                    <strong>Package:</strong> {selectedPackage.title}
+                    <strong>{t("summary.plan")}</strong> {t("plan.monthly", { count: confirmation.installments.length })}
+                    {confirmation.installmentSurcharge > 0 && (
+                      <div className="sub">
+                        {t("summary.planSurcharge", {
+                          amount: formatMoney(confirmation.installmentSurcharge, confirmation.currency, locale),
+                        })}
+                      </div>
+                    )}
+                    <ol className="scheduleList">
+                      {confirmation.installments.map((payment) => (
+                        <li key={payment.dueDate}>
+                          {dateLabel(payment.dueDate, locale)} —{" "}
+                          {formatMoney(payment.amount, confirmation.currency, locale)}
+                        </li>
+                      ))}
+                    </ol>
                   </div>
+                )}
+                {confirmation.referralCode && (
                   <div>
-                    <strong>Lessons:</strong> {selectedPackage.lessons}
+                    <strong>{t("summary.referredBy")}</strong> <bdi>{confirmation.referralCode}</bdi>
+                    {confirmation.referralReward && (
+                      <div className="sub">
+                        {referralRewardText(
+                          confirmation.referralReward.refereeLessons,
+                          confirmation.referralReward.referrerLessons
+                        )}
+                      </div>
+                    )}
                   </div>
+                )}
+                {confirmation.slot && (
                   <div>
-                    <strong>Total price:</strong> {pkgTotal(selectedPackage)}
+                    <strong>{t("summary.slot")}</strong> {slotLabel(confirmation.slot, confirmation.timeZone)}
                   </div>
-                  {needsSchedule && (
-                    <>
-                      <div>
-                        <strong>Preferred date:</strong> {formData.preferredDate || "—"}
-                      </div>
-                      <div>
-                        <strong>Preferred time:</strong> {formData.preferredTime || "—"}
-                      </div>
-                    </>
+                )}
+              </div>
+            </div>
+
+            <div className="detailBox" style={{ marginTop: 14 }}>
+              <div className="detailTitle">{t("confirm.contact")}</div>
+              <div className="detailText" style={{ marginTop: 8 }}>
+                <div>{confirmation.fullName}</div>
+                <div>{confirmation.email}</div>
+                {confirmation.phone && <div dir="ltr">{confirmation.phone}</div>}
+                {confirmation.countryCode && <div>{countryName(confirmation.countryCode, locale)}</div>}
+              </div>
+            </div>
+
+            {confirmation.gift && (
+              <div className="detailBox" style={{ marginTop: 14 }}>
+                <div className="detailTitle">{t("gift.recipient")}</div>
+                <div className="detailText" style={{ marginTop: 8 }}>
+                  <div>{confirmation.gift.recipientName}</div>
+                  <div>{confirmation.gift.recipientEmail}</div>
+                  {confirmation.gift.deliveryDate && (
+                    <div>{t("gift.deliveryOn", { date: dateLabel(confirmation.gift.deliveryDate, locale) })}</div>
                   )}
                 </div>
               </div>
-            </Card>
+            )}
+
+            <div className="sub" style={{ marginTop: 12 }}>
+              {t("confirm.submittedAt", {
+                time: new Intl.DateTimeFormat(locale, { dateStyle: "long", timeStyle: "short" }).format(
+                  new Date(confirmation.submittedAt)
+                ),
+              })}
+            </div>
+          </Card>
+        </div>
+      )}
+
+      {/* Confirmation link for an application this browser doesn't know (cleared, or another device) */}
+      {step === "confirmation" && !(confirmedHere && confirmedType && confirmedPackage) && (
+        <Card>
+          <div className="title" style={{ marginBottom: 6 }}>
+            {t("confirm.missingTitle")}
           </div>
-        )}
-      </main>
+          <div className="desc">{t("confirm.missingText")}</div>
+          <div className="row">
+            <Button onClick={reset}>{t("confirm.startNew")}</Button>
+          </div>
+        </Card>
+      )}
 
-      <footer className="footer">
-        <div className="wrap">© {new Date().getFullYear()} Masters English Academy</div>
-      </footer>
-    </div>
+      {quote && <QuoteDocument quote={quote} />}
+      {giftCard && <GiftCardDocument card={giftCard} />}
+    </PageShell>
   );
 }
 
@@ -689,7 +2515,7 @@ const css = `
     border:none;
     background:transparent;
     cursor:pointer;
-    text-align:left;
+    text-align:start;
     padding:8px 10px;
     border-radius:14px;
   }
@@ -728,6 +2554,10 @@ const css = `
     gap:10px;
     flex-wrap:wrap;
   }
+  /* Language switcher in the topbar (reuses the currency pill buttons) */
+  .langSwitch{ display:flex; gap:8px; }
+  .langSwitch .curBtn{ padding:6px 10px; font-size:13px; }
+
   .currencyLabel{ font-weight:900; font-size:13px; color:#334155; }
   .curBtn{
     border:1px solid #000;
@@ -799,6 +2629,7 @@ const css = `
     .grid2{ grid-template-columns: 1fr 1fr; }
     .grid3{ grid-template-columns: 1fr 1fr 1fr; }
     .grid2small{ grid-template-columns: 1fr 1fr; }
+    .grid2small > .span2{ grid-column: 1 / -1; }
   }
 
   .pillRow{ margin-top:12px; display:flex; gap:8px; flex-wrap:wrap; }
@@ -821,6 +2652,55 @@ const css = `
     margin-bottom:10px;
   }
 
+  /* Step 1 recommendation quiz */
+  .quizCard{ margin-bottom:16px; }
+  .referralCard{ margin-top:16px; }
+  .referralNotice{ margin-bottom:16px; }
+  .referralLink{ direction:ltr; font-size:13px; }
+  .quizQuestion{ margin:14px 0 0; padding:0; border:none; }
+  .quizQuestion .pillRow{ margin-top:4px; }
+  .quizQuestion .curBtn{ padding:6px 12px; font-size:13px; }
+  .quizReasons{ margin:8px 0 0; padding-inline-start:18px; color:#334155; font-size:14px; line-height:1.55; }
+
+  .sectionActions{ display:flex; align-items:center; gap:10px; flex-wrap:wrap; }
+  .viewSwitch{ display:flex; gap:6px; }
+  .viewSwitch .curBtn{ padding:6px 12px; font-size:13px; }
+
+  /* Step 2 comparison table */
+  .compareWrap{ overflow-x:auto; }
+  .compareTable{ width:100%; border-collapse:collapse; font-size:14px; }
+  .compareTable caption{ text-align:start; margin:0 0 10px; }
+  .compareTable th, .compareTable td{
+    padding:12px 10px;
+    text-align:start;
+    border-bottom:1px solid var(--border);
+    white-space:nowrap;
+  }
+  .compareTable thead th{ font-size:12px; color:#64748b; font-weight:800; }
+  .compareTable tbody th{ font-weight:900; }
+  .compareTable tbody tr{ cursor:pointer; }
+  .compareTable tbody tr:hover{ background:var(--soft); }
+  .compareTable tr.bestValue{ background:#ecfdf5; }
+  .compareTable tr.bestValue:hover{ background:#d1fae5; }
+  .bestBadge{
+    margin-inline-start:8px;
+    padding:2px 8px;
+    border-radius:999px;
+    background:#047857;
+    color:#fff;
+    font-size:11px;
+    font-weight:800;
+  }
+  .btn.small{ padding:6px 10px; font-size:13px; border-radius:10px; }
+  .srOnly{
+    position:absolute;
+    width:1px;
+    height:1px;
+    overflow:hidden;
+    clip:rect(0 0 0 0);
+    white-space:nowrap;
+  }
+
   .detailBox{
     margin-top:14px;
     border:1px solid var(--border);
@@ -831,9 +2711,12 @@ const css = `
   .detailTitle{ font-weight:900; font-size:13px; }
   .detailText{ margin-top:6px; color:#334155; font-size:14px; }
 
-  .list{ margin:12px 0 0; padding-left:18px; color:#334155; line-height:1.7; }
+  .list{ margin:12px 0 0; padding-inline-start:18px; color:#334155; line-height:1.7; }
 
   .form{ margin-top:16px; display:grid; gap:12px; }
+  .choiceField{ margin:0; padding:0; border:none; min-width:0; }
+  .choiceField .pillRow{ margin-top:0; }
+  .choiceField .curBtn{ padding:6px 12px; font-size:13px; }
   .field{ display:block; }
   .label{ display:block; font-weight:800; font-size:12px; color:#334155; margin-bottom:6px; }
   .req{ color:#94a3b8; font-weight:900; }
@@ -851,6 +2734,88 @@ const css = `
   }
   .input::placeholder{ color:#94a3b8; }
   .input:focus{ border-color:#94a3b8; }
+  .input.invalid{ border-color:#fca5a5; }
+  textarea.input{ font:inherit; font-size:14px; resize:vertical; }
+
+  /* Spam honeypot: off-screen rather than display:none, which some bots skip */
+  .hp{ position:absolute; inset-inline-start:-10000px; top:auto; width:1px; height:1px; overflow:hidden; }
+
+  /* Checkboxes (consent, opt-ins) */
+  .checkField{ display:flex; gap:10px; align-items:flex-start; font-size:13px; color:#334155; line-height:1.5; cursor:pointer; }
+  .checkField input{ margin-top:3px; width:16px; height:16px; flex:none; }
+  .checkField a{ color:inherit; font-weight:800; }
+
+  /* Inline field error (shown after blur) */
+  .fieldError{ display:block; margin-top:6px; font-size:12px; color:#b91c1c; }
+
+  /* Searchable country / dial-code picker */
+  .countryPicker{ position:relative; }
+  .countryList{
+    position:absolute;
+    inset-inline:0;
+    top:calc(100% - 2px);
+    z-index:5;
+    margin:4px 0 0;
+    padding:4px;
+    list-style:none;
+    max-height:240px;
+    overflow-y:auto;
+    background:#fff;
+    border:1px solid var(--border);
+    border-radius:14px;
+    box-shadow: var(--shadow);
+  }
+  .countryPicker.dial .countryList{ inset-inline-end:auto; min-width:260px; }
+  .countryOption{
+    display:flex;
+    justify-content:space-between;
+    gap:10px;
+    padding:8px 10px;
+    border-radius:10px;
+    font-size:14px;
+    cursor:pointer;
+  }
+  .countryOption.highlight, .countryOption:hover{ background:var(--soft); }
+  .countryOption[aria-selected="true"]{ font-weight:800; }
+  .countryDial{ color:var(--muted); direction:ltr; }
+
+  /* Promo code */
+  .promoRow, .promoApplied{ display:flex; gap:8px; align-items:center; }
+  .promoRow .input{ flex:1; text-transform:uppercase; }
+  .promoRow .input::placeholder{ text-transform:none; }
+  .promoCode{
+    flex:1;
+    padding:12px 14px;
+    border:1px dashed var(--border);
+    border-radius:14px;
+    font-weight:800;
+    letter-spacing:.05em;
+    direction:ltr;
+    text-align:start;
+  }
+  .promoOk{ display:block; margin-top:6px; font-size:12px; font-weight:700; color:#047857; }
+  .muted{ color:var(--muted); font-weight:600; }
+
+  /* Dial code + national number side by side */
+  .phoneRow{ display:grid; grid-template-columns: 120px 1fr; gap:8px; align-items:start; }
+
+  /* Slot picker: a row of days, then that day's start times */
+  .slotDays{ display:flex; gap:8px; overflow-x:auto; padding-bottom:4px; }
+  .slotTimes{ margin-top:10px; display:grid; grid-template-columns: repeat(auto-fill, minmax(92px, 1fr)); gap:8px; }
+  .slotBtn{
+    border:1px solid var(--border);
+    background:#fff;
+    color:#0f172a;
+    border-radius:12px;
+    padding:8px 10px;
+    font-weight:800;
+    font-size:13px;
+    cursor:pointer;
+    white-space:nowrap;
+  }
+  .slotBtn:hover{ background:var(--soft); }
+  .slotBtn.active{ background:#0f172a; color:#fff; border-color:#0f172a; }
+  .slotAlt{ display:block; margin-top:2px; font-size:11px; font-weight:600; opacity:.7; }
 
   /* Inline success/error message */
   .notice{
@@ -862,8 +2827,99 @@ const css = `
   }
   .notice.ok{ background:#f0fdf4; border-color:#86efac; color:#14532d; }
   .notice.bad{ background:#fef2f2; border-color:#fecaca; color:#7f1d1d; }
+  .catalogIssues{ margin-top:14px; }
+  .catalogIssues ul{ margin:8px 0 0; padding-inline-start:18px; }
+  .notice.info{ background:#eff6ff; border-color:#bfdbfe; color:#1e3a8a; }
+
+  /* Group / family enrollment: one block per learner */
+  .learner{ margin-top:12px; padding-top:12px; border-top:1px solid var(--border); }
+  .learnerHead{ display:flex; align-items:center; gap:10px; flex-wrap:wrap; margin-bottom:8px; }
+  .learnerHead .btn{ margin-inline-start:auto; }
+  .learnerActions{ align-items:center; }
+  .summaryLearner{ padding:6px 0; border-bottom:1px dashed var(--border); }
+  .summaryLearner:last-of-type{ margin-bottom:6px; }
+
+  /* Package builder on Step 2 */
+  .builderCard{ margin-top:16px; }
+  .lessonSlider{ width:100%; margin:8px 0 4px; accent-color:#0f172a; }
+
+  /* Installment plans: picker on Step 3, payment schedule in the summaries */
+  .planOptions{ display:grid; grid-template-columns:repeat(auto-fit, minmax(150px, 1fr)); gap:8px; margin-top:10px; }
+  .planOption{
+    display:flex;
+    flex-direction:column;
+    gap:2px;
+    text-align:start;
+    padding:10px 12px;
+    border:1px solid var(--border);
+    border-radius:14px;
+    background:#fff;
+    cursor:pointer;
+    font:inherit;
+    color:inherit;
+  }
+  .planOption:hover{ background:var(--soft); }
+  .planOption.active{ border-color:#0f172a; box-shadow:0 0 0 1px #0f172a; }
+  .scheduleList{ margin:4px 0 0; padding-inline-start:18px; }
+
+  /* Application reference on the confirmation step */
+  .referenceBox{
+    margin:14px 0;
+    padding:12px 14px;
+    border:1px dashed #94a3b8;
+    border-radius:14px;
+    background:var(--soft);
+  }
+  .reference{ font-size:22px; font-weight:900; letter-spacing:.04em; margin:4px 0; direction:ltr; unicode-bidi:isolate; }
+
+  /* "Continue your application" banner */
+  .draftBanner{ margin-bottom:16px; font-size:14px; }
+  .draftBanner .row{ margin-top:10px; }
 
   .footer{ border-top:1px solid var(--border); background:#fff; color:#64748b; }
+
+  /* Printable documents (quote, gift card): invisible on screen, the only thing printed */
+  .printDoc{ display:none; }
+  @media print{
+    @page{ margin: 18mm; }
+    .topbar, .footer, main > :not(.printDoc){ display:none !important; }
+    .page{ background:#fff; }
+    main.wrap{ padding:0; max-width:none; }
+    .printDoc{ display:block; color:#000; font-size:12pt; }
+    .quoteHead{
+      display:flex;
+      justify-content:space-between;
+      gap:24px;
+      padding-bottom:12pt;
+      border-bottom:2px solid #000;
+    }
+    .quoteMeta{ text-align:end; }
+    .quoteMeta h1{ margin:0 0 6pt; font-size:20pt; }
+    .quoteTable{ width:100%; margin-top:18pt; border-collapse:collapse; }
+    .quoteTable th, .quoteTable td{ padding:8pt 0; border-bottom:1px solid #ccc; text-align:start; }
+    .quoteTable td{ text-align:end; }
+    .quoteTable th{ font-weight:600; }
+    .quoteTotal th, .quoteTotal td{ font-size:14pt; font-weight:900; border-bottom:2px solid #000; }
+    .quoteNote{ margin-top:14pt; font-size:10pt; color:#333; }
+    .giftCardInner{
+      max-width:150mm;
+      margin:0 auto;
+      padding:18mm 16mm;
+      border:3px double #000;
+      border-radius:6mm;
+      text-align:center;
+    }
+    .giftKicker{ margin-top:14pt; font-size:10pt; font-weight:800; letter-spacing:.2em; text-transform:uppercase; }
+    .giftCardInner h1{ margin:6pt 0 12pt; font-size:26pt; }
+    .giftPackage{ font-size:15pt; font-weight:800; }
+    .giftMessage{ margin:16pt 0; font-size:13pt; font-style:italic; white-space:pre-line; }
+    .giftFrom{ margin-top:12pt; font-weight:700; }
+    .giftCode{ margin-top:16pt; padding-top:10pt; border-top:1px solid #ccc; }
+  }
+  .footerInner{ display:flex; justify-content:space-between; gap:12px; flex-wrap:wrap; font-size:13px; }
+  .footerLinks{ display:flex; gap:14px; flex-wrap:wrap; }
+  .footerLinks a, .footerBtn{ color:inherit; }
+  .footerBtn{ border:none; background:none; padding:0; font:inherit; text-decoration:underline; cursor:pointer; }
 `;
 
 
@@ -0,0 +1,113 @@
+import React, { useId, useMemo, useState } from "react";
+import { useI18n } from "../i18n";
+import { countryName, dialCodeOf, flagOf, searchCountries } from "../lib/countries";
+
+/**
+ * Searchable country combobox.
+ * - mode="country": residence picker, shows "🇰🇼 Kuwait"
+ * - mode="dial": phone dial-code picker, shows "🇰🇼 +965"
+ * Type a name (in the UI language or English), an ISO code or a dial code to filter;
+ * ↑/↓ + Enter or a click picks a country. `value` is the ISO code ("KW").
+ */
+export default function CountryPicker({ label, name, value, onChange, onBlur, error, required, mode = "country", placeholder }) {
+  const { locale } = useI18n();
+  const id = useId();
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState("");
+  const [highlight, setHighlight] = useState(0);
+
+  const matches = useMemo(() => searchCountries(query, locale), [query, locale]);
+
+  const display = (code) =>
+    mode === "dial" ? `${flagOf(code)} +${dialCodeOf(code)}` : `${flagOf(code)} ${countryName(code, locale)}`;
+
+  const choose = (code) => {
+    onChange(code);
+    setOpen(false);
+    setQuery("");
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      setOpen(true);
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setHighlight((h) => Math.min(Math.max(h + step, 0), Math.max(matches.length - 1, 0)));
+    } else if (e.key === "Enter" && open) {
+      // Enter picks the highlighted country instead of submitting the form
+      e.preventDefault();
+      if (matches[highlight]) choose(matches[highlight].code);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+      setQuery("");
+    }
+  };
+
+  return (
+    <div className={`field countryPicker ${mode}`}>
+      <label className="label" htmlFor={id}>
+        {label} {required ? <span className="req">*</span> : null}
+      </label>
+      <input
+        id={id}
+        className={`input ${error ? "invalid" : ""}`}
+        name={name}
+        role="combobox"
+        autoComplete="off"
+        aria-expanded={open}
+        aria-controls={`${id}-list`}
+        aria-activedescendant={open && matches[highlight] ? `${id}-${matches[highlight].code}` : undefined}
+        aria-invalid={Boolean(error)}
+        aria-describedby={error ? `${id}-error` : undefined}
+        value={open ? query : value ? display(value) : ""}
+        placeholder={placeholder}
+        onFocus={() => {
+          setOpen(true);
+          setQuery("");
+          setHighlight(0);
+        }}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setOpen(true);
+          setHighlight(0);
+        }}
+        onKeyDown={onKeyDown}
+        onBlur={() => {
+          setOpen(false);
+          setQuery("");
+          onBlur?.();
+        }}
+      />
+
+      {open && matches.length > 0 && (
+        <ul className="countryList" id={`${id}-list`} role="listbox">
+          {matches.map((c, i) => (
+            <li
+              key={c.code}
+              id={`${id}-${c.code}`}
+              role="option"
+              aria-selected={c.code === value}
+              className={`countryOption ${i === highlight ? "highlight" : ""}`}
+              // mousedown (not click) so the input's blur doesn't close the list first
+              onMouseDown={(e) => {
+                e.preventDefault();
+                choose(c.code);
+              }}
+            >
+              <span>
+                {flagOf(c.code)} {c.name}
+              </span>
+              {mode === "dial" && <span className="countryDial">+{c.dial}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && (
+        <span className="fieldError" id={`${id}-error`}>
+          {error}
+        </span>
+      )}
+    </div>
+  );
+}
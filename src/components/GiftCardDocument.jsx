@@ -0,0 +1,38 @@
+import React from "react";
+import { useI18n } from "../i18n";
+import { dateLabel } from "../lib/time";
+
+/**
+ * Printable gift card for a gift purchase (confirmation step).
+ * Like the quote, it is hidden on screen and is the only thing the print stylesheet shows.
+ * The application reference doubles as the gift code the recipient quotes to redeem it.
+ */
+export default function GiftCardDocument({ card }) {
+  const { t, locale, dir } = useI18n();
+
+  return (
+    <section className="giftCard printDoc" dir={dir}>
+      <div className="giftCardInner">
+        <div className="brandName">{t("brand.name")}</div>
+        <div className="brandSub">{t("brand.sub")}</div>
+
+        <div className="giftKicker">{t("giftCard.kicker")}</div>
+        <h1>{t("giftCard.for", { name: card.recipientName })}</h1>
+        <div className="giftPackage">
+          {card.course} — {card.package}
+        </div>
+        <div>{t("giftCard.lessons", { lessons: t("lessons", { count: card.lessons }) })}</div>
+
+        {card.message && <blockquote className="giftMessage">{card.message}</blockquote>}
+
+        <div className="giftFrom">{t("giftCard.from", { name: card.fromName })}</div>
+        {card.deliveryDate && <div>{t("giftCard.date", { date: dateLabel(card.deliveryDate, locale) })}</div>}
+
+        <div className="giftCode">
+          {t("giftCard.code")} <strong>{card.reference}</strong>
+        </div>
+        <p className="quoteNote">{t("giftCard.redeem")}</p>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,71 @@
+import React from "react";
+import { useI18n } from "../i18n";
+import { comparePackages } from "../lib/comparison";
+import { formatMoney } from "../lib/currency";
+
+/**
+ * All packages of a course type in one table (Step 2 "Compare" view).
+ * Every number comes from the catalog prices in the active currency (see lib/comparison).
+ * Choosing a row goes to the same details step as the package cards.
+ */
+export default function PackageComparison({ packages, currency, onSelect }) {
+  const { t, locale } = useI18n();
+  const rows = comparePackages(packages, currency);
+
+  const money = (amount) => (amount === 0 ? t("price.free") : formatMoney(amount, currency, locale));
+  const percent = new Intl.NumberFormat(locale, { style: "percent", maximumFractionDigits: 0 });
+
+  return (
+    <div className="compareWrap">
+      <table className="compareTable">
+        <caption className="sub">{t("compare.caption")}</caption>
+        <thead>
+          <tr>
+            <th scope="col">{t("compare.package")}</th>
+            <th scope="col">{t("compare.lessons")}</th>
+            <th scope="col">{t("compare.total")}</th>
+            <th scope="col">{t("compare.perLesson")}</th>
+            <th scope="col">{t("compare.savings")}</th>
+            <th scope="col">
+              <span className="srOnly">{t("compare.select")}</span>
+            </th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr
+              key={row.pkg.id}
+              className={row.bestValue ? "bestValue" : undefined}
+              onClick={() => onSelect(row.pkg.id)}
+            >
+              <th scope="row">
+                {row.pkg.title}
+                {row.bestValue && <span className="bestBadge">{t("compare.bestValue")}</span>}
+              </th>
+              <td>{row.pkg.lessons.toLocaleString(locale)}</td>
+              <td>{money(row.total)}</td>
+              <td>{money(row.perLesson)}</td>
+              <td>
+                {row.savings > 0
+                  ? t("compare.saves", { amount: money(row.savings), percent: percent.format(row.savingsPercent) })
+                  : "—"}
+              </td>
+              <td>
+                <button
+                  type="button"
+                  className="btn ghost small"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onSelect(row.pkg.id);
+                  }}
+                >
+                  {t("compare.select")}
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
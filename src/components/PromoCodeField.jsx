@@ -0,0 +1,66 @@
+import React, { useState } from "react";
+import { useI18n } from "../i18n";
+
+/**
+ * Promo code entry on the application step.
+ * `value` is the applied code ("" = none); `result` is what lib/promotions said about it
+ * for the current selection, and `discountLabel` the formatted discount when it applies.
+ *
+ * While a code is applied the input is replaced by the code and a "Remove" button,
+ * so the student always sees which code counts.
+ */
+export default function PromoCodeField({ value, result, discountLabel, onApply, onRemove }) {
+  const { t } = useI18n();
+  const [input, setInput] = useState("");
+
+  const apply = () => {
+    if (!input.trim()) return;
+    onApply(input);
+    setInput("");
+  };
+
+  return (
+    <div className="field promoField">
+      <span className="label">{t("promo.label")}</span>
+
+      {value ? (
+        <div className="promoApplied">
+          <span className="promoCode">{value}</span>
+          <button type="button" className="btn ghost" onClick={onRemove}>
+            {t("promo.remove")}
+          </button>
+        </div>
+      ) : (
+        <div className="promoRow">
+          <input
+            className="input"
+            name="promoCode"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            onKeyDown={(e) => {
+              // Enter applies the code instead of submitting the whole application
+              if (e.key === "Enter") {
+                e.preventDefault();
+                apply();
+              }
+            }}
+            aria-label={t("promo.label")}
+            placeholder={t("promo.placeholder")}
+            autoComplete="off"
+            autoCapitalize="characters"
+            spellCheck={false}
+          />
+          <button type="button" className="btn ghost" onClick={apply} disabled={!input.trim()}>
+            {t("promo.apply")}
+          </button>
+        </div>
+      )}
+
+      {value && (
+        <span className={result.ok ? "promoOk" : "fieldError"} role="status" aria-live="polite">
+          {result.ok ? t("promo.applied", { code: value, discount: discountLabel }) : t(`promo.error.${result.reason}`)}
+        </span>
+      )}
+    </div>
+  );
+}
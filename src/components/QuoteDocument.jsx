@@ -0,0 +1,72 @@
+import React from "react";
+import { useI18n } from "../i18n";
+import { QUOTE_VALIDITY_DAYS } from "../lib/quote";
+import { dateLabel } from "../lib/time";
+
+/**
+ * Printable quote. Hidden on screen; the print stylesheet shows only this document,
+ * so "Download quote" is the browser's print dialog (print or save as PDF).
+ * All amounts arrive already formatted in the chosen currency.
+ * A group quote has `learners` ([{ name, package, total }]), listed instead of the single package.
+ */
+export default function QuoteDocument({ quote }) {
+  const { t, locale, dir } = useI18n();
+
+  const packageRows = quote.learners.length
+    ? quote.learners.map((learner) => [learner.name, `${learner.package} — ${learner.total}`])
+    : [
+        [t("quote.course"), quote.course],
+        [t("quote.package"), quote.package],
+        [t("quote.lessons"), quote.lessons.toLocaleString(locale)],
+        [t("quote.perLesson"), quote.perLesson],
+      ];
+
+  const rows = [
+    ...packageRows,
+    [t("quote.currency"), quote.currency],
+    quote.schedule && [t("quote.schedule"), quote.schedule],
+    quote.discount && [t("quote.discount", { code: quote.promoCode }), quote.discount],
+    quote.groupDiscount && [t("quote.groupDiscount", { percent: quote.groupPercent }), quote.groupDiscount],
+    quote.plan && [t("quote.plan"), quote.plan],
+  ].filter(Boolean);
+
+  return (
+    <section className="quoteDoc printDoc" dir={dir}>
+      <header className="quoteHead">
+        <div>
+          <div className="brandName">{t("brand.name")}</div>
+          <div className="brandSub">{t("brand.sub")}</div>
+        </div>
+        <div className="quoteMeta">
+          <h1>{t("quote.title")}</h1>
+          <div>
+            {t("quote.reference")} <strong>{quote.reference}</strong>
+          </div>
+          <div>
+            {t("quote.date")} {dateLabel(quote.issuedOn, locale)}
+          </div>
+        </div>
+      </header>
+
+      <table className="quoteTable">
+        <tbody>
+          {rows.map(([label, value], i) => (
+            <tr key={i}>
+              <th scope="row">{label}</th>
+              <td>{value}</td>
+            </tr>
+          ))}
+          <tr className="quoteTotal">
+            <th scope="row">{t("quote.total")}</th>
+            <td>{quote.total}</td>
+          </tr>
+        </tbody>
+      </table>
+
+      <p className="quoteNote">
+        {t("quote.validity", { days: QUOTE_VALIDITY_DAYS, date: dateLabel(quote.validUntil, locale) })}
+      </p>
+      <p className="quoteNote">{t("quote.footer", { reference: quote.reference })}</p>
+    </section>
+  );
+}
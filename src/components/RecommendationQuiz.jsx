@@ -0,0 +1,89 @@
+import React, { useState } from "react";
+import { useI18n } from "../i18n";
+import { isQuizComplete, QUIZ_QUESTIONS, recommend } from "../lib/recommendation";
+
+/**
+ * Optional "which course fits me?" questionnaire on Step 1.
+ * `answers` are the saved answers (null = quiz not taken); `onComplete(answers)` saves new ones,
+ * `onChoose(typeId, packageId)` jumps to the recommended package's details step.
+ * `catalog` is the localized { courseTypes, packages } so titles show in the UI language.
+ */
+export default function RecommendationQuiz({ catalog, currency, answers, onComplete, onChoose, onClose }) {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(() => answers || {});
+  const [editing, setEditing] = useState(!answers);
+
+  const result = !editing && answers ? recommend(answers, catalog, currency) : null;
+  const type = result && catalog.courseTypes.find((ct) => ct.id === result.typeId);
+  const pkg = result && catalog.packages[result.typeId].find((p) => p.id === result.packageId);
+
+  return (
+    <div className="quiz">
+      <div className="cardHead">
+        <div>
+          <div className="kicker">{t("quiz.kicker")}</div>
+          <div className="title">{result ? t("quiz.resultTitle") : t("quiz.title")}</div>
+        </div>
+        <button type="button" className="btn ghost small" onClick={onClose}>
+          {t("quiz.close")}
+        </button>
+      </div>
+
+      {result ? (
+        <>
+          <div className="detailBox">
+            <div className="detailTitle">
+              {type.title} — {pkg.title}
+            </div>
+            <ul className="quizReasons">
+              {result.reasons.map((reason) => (
+                <li key={reason.key}>{t(reason.key, reason.vars)}</li>
+              ))}
+            </ul>
+          </div>
+          <div className="row">
+            <button type="button" className="btn primary" onClick={() => onChoose(result.typeId, result.packageId)}>
+              {t("quiz.viewPackage")}
+            </button>
+            <button type="button" className="btn ghost" onClick={() => setEditing(true)}>
+              {t("quiz.retake")}
+            </button>
+          </div>
+        </>
+      ) : (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (!isQuizComplete(draft)) return;
+            onComplete(draft);
+            setEditing(false);
+          }}
+        >
+          {Object.entries(QUIZ_QUESTIONS).map(([question, options]) => (
+            <fieldset key={question} className="quizQuestion">
+              <legend className="label">{t(`quiz.${question}`)}</legend>
+              <div className="pillRow">
+                {options.map((option) => (
+                  <button
+                    key={option}
+                    type="button"
+                    className={`curBtn ${draft[question] === option ? "active" : ""}`}
+                    aria-pressed={draft[question] === option}
+                    onClick={() => setDraft((d) => ({ ...d, [question]: option }))}
+                  >
+                    {t(`quiz.${question}.${option}`)}
+                  </button>
+                ))}
+              </div>
+            </fieldset>
+          ))}
+          <div className="row">
+            <button type="submit" className="btn primary" disabled={!isQuizComplete(draft)}>
+              {t("quiz.submit")}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+import React, { useRef, useState } from "react";
+import { useI18n } from "../i18n";
+import { createReferralCode, referralLink } from "../lib/referral";
+import { validateForm } from "../lib/validation";
+
+/**
+ * "Invite a friend" on Step 1: an existing student enters the name and email we know them by
+ * and gets their shareable link (lib/referral). Nothing is sent or stored — the same details
+ * always give the same link. `rewardText` describes the current reward ("" = none).
+ */
+export default function ReferralLinkCard({ rewardText, onClose }) {
+  const { t } = useI18n();
+  const [values, setValues] = useState({ name: "", email: "" });
+  const [errors, setErrors] = useState({});
+  const [link, setLink] = useState("");
+  const [copied, setCopied] = useState(false);
+  const linkInput = useRef(null);
+
+  const set = (name) => (e) => {
+    setValues((v) => ({ ...v, [name]: e.target.value }));
+    setLink("");
+  };
+
+  const create = (e) => {
+    e.preventDefault();
+    const found = validateForm(values, { name: ["fullName"], email: ["required", "email"] });
+    setErrors(found);
+    if (Object.keys(found).length) return;
+    setLink(referralLink(createReferralCode(values.name, values.email)));
+    setCopied(false);
+  };
+
+  // Without clipboard access the link is selected, ready for Ctrl+C / long-press
+  const copy = () => {
+    const select = () => linkInput.current?.select();
+    if (!navigator.clipboard) return select();
+    navigator.clipboard.writeText(link).then(() => setCopied(true), select);
+  };
+
+  const field = (name, type, autoComplete) => (
+    <label className="field">
+      <span className="label">
+        {t(`referral.${name}`)} <span className="req">*</span>
+      </span>
+      <input
+        className={`input ${errors[name] ? "invalid" : ""}`}
+        type={type}
+        name={`referral-${name}`}
+        value={values[name]}
+        onChange={set(name)}
+        autoComplete={autoComplete}
+        aria-invalid={Boolean(errors[name])}
+        aria-describedby={errors[name] ? `referral-${name}-error` : undefined}
+      />
+      {errors[name] && (
+        <span className="fieldError" id={`referral-${name}-error`}>
+          {t(errors[name])}
+        </span>
+      )}
+    </label>
+  );
+
+  return (
+    <div className="referral">
+      <div className="cardHead">
+        <div>
+          <div className="kicker">{t("referral.kicker")}</div>
+          <div className="title">{t("referral.title")}</div>
+          <div className="sub">{rewardText || t("referral.text")}</div>
+        </div>
+        <button type="button" className="btn ghost small" onClick={onClose}>
+          {t("quiz.close")}
+        </button>
+      </div>
+
+      <form className="form" onSubmit={create} noValidate>
+        <div className="grid2small">
+          {field("name", "text", "name")}
+          {field("email", "email", "email")}
+        </div>
+        <div className="sub">{t("referral.hint")}</div>
+        <div className="row">
+          <button type="submit" className="btn primary">
+            {t("referral.create")}
+          </button>
+        </div>
+      </form>
+
+      {link && (
+        <div className="referenceBox">
+          <div className="sub">{t("referral.yourLink")}</div>
+          <div className="promoRow">
+            <input
+              ref={linkInput}
+              className="input referralLink"
+              value={link}
+              readOnly
+              aria-label={t("referral.yourLink")}
+              onFocus={(e) => e.target.select()}
+            />
+            <button type="button" className="btn ghost" onClick={copy}>
+              {t("referral.copy")}
+            </button>
+          </div>
+          <div className="sub" role="status" aria-live="polite">
+            {copied ? t("referral.copied") : t("referral.shareHint")}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+import React, { useState } from "react";
+import { useI18n } from "../i18n";
+import { dateInZone } from "../lib/time";
+
+/**
+ * Slot picker for trials, placement tests and single lessons.
+ * Shows only bookable slots (see lib/availability): first a day, then a start time.
+ * `value` / `onChange` carry the slot's start as an ISO timestamp (UTC).
+ *
+ * Days and times are shown in the student's zone (`timeZone`); when that differs
+ * from the academy's zone, each time also shows the academy's wall clock.
+ */
+export default function SlotPicker({ days, value, onChange, timeZone, academyTimeZone }) {
+  const { t, locale } = useI18n();
+  const [activeDate, setActiveDate] = useState(null);
+
+  if (!days.length) return <div className="sub">{t("slots.none")}</div>;
+
+  // Regroup per day in the student's zone (a late academy slot can be "tomorrow" for them)
+  const localDays = [];
+  days
+    .flatMap((day) => day.slots)
+    .forEach((slot) => {
+      const date = dateInZone(Date.parse(slot.start), timeZone);
+      const last = localDays[localDays.length - 1];
+      if (last?.date === date) last.slots.push(slot);
+      else localDays.push({ date, slots: [slot] });
+    });
+
+  // Day shown: the one the student clicked, else the one holding the chosen slot, else the first
+  const selectedDate = localDays.find((day) => day.slots.some((slot) => slot.start === value))?.date;
+  const shownDate = localDays.some((day) => day.date === activeDate) ? activeDate : selectedDate || localDays[0].date;
+  const shownDay = localDays.find((day) => day.date === shownDate);
+
+  // Calendar dates are zone-less: format them at UTC noon so they never shift a day
+  const dayLabel = new Intl.DateTimeFormat(locale, { timeZone: "UTC", weekday: "short", day: "numeric", month: "short" });
+  const timeLabel = new Intl.DateTimeFormat(locale, { timeZone, hour: "numeric", minute: "2-digit" });
+  const academyLabel = new Intl.DateTimeFormat(locale, {
+    timeZone: academyTimeZone,
+    hour: "numeric",
+    minute: "2-digit",
+  });
+  const showAcademyTime = academyTimeZone && academyTimeZone !== timeZone;
+
+  return (
+    <div className="slotPicker">
+      <div className="slotDays" role="group" aria-label={t("slots.days")}>
+        {localDays.map((day) => (
+          <button
+            key={day.date}
+            type="button"
+            className={`slotBtn ${day.date === shownDate ? "active" : ""}`}
+            aria-pressed={day.date === shownDate}
+            onClick={() => setActiveDate(day.date)}
+          >
+            {dayLabel.format(new Date(`${day.date}T12:00:00Z`))}
+          </button>
+        ))}
+      </div>
+
+      <div className="slotTimes" role="group" aria-label={t("slots.times")}>
+        {shownDay.slots.map((slot) => (
+          <button
+            key={slot.start}
+            type="button"
+            className={`slotBtn ${slot.start === value ? "active" : ""}`}
+            aria-pressed={slot.start === value}
+            onClick={() => onChange(slot.start)}
+          >
+            {timeLabel.format(new Date(slot.start))}
+            {showAcademyTime && (
+              <span className="slotAlt">
+                {t("slots.academyTime", { time: academyLabel.format(new Date(slot.start)) })}
+              </span>
+            )}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
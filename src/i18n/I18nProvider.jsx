@@ -0,0 +1,33 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { writeJSON } from "../lib/storage";
+import { createTranslator, I18nContext, initialLanguage, LANGUAGE_KEY, LANGUAGES, localeFor } from "./index";
+
+/**
+ * Holds the active UI language and keeps <html lang/dir> in sync,
+ * so the whole page (including the inline grid/row styles) mirrors in Arabic.
+ */
+export default function I18nProvider({ children }) {
+  const [lang, setLangState] = useState(initialLanguage);
+
+  const value = useMemo(
+    () => ({
+      lang,
+      dir: LANGUAGES[lang].dir,
+      locale: localeFor(lang),
+      t: createTranslator(lang),
+      setLang: (next) => {
+        if (!LANGUAGES[next]) return;
+        writeJSON(LANGUAGE_KEY, next);
+        setLangState(next);
+      },
+    }),
+    [lang]
+  );
+
+  useEffect(() => {
+    document.documentElement.lang = value.locale;
+    document.documentElement.dir = value.dir;
+  }, [value.locale, value.dir]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
@@ -0,0 +1,379 @@
+/**
+ * Arabic UI messages (Modern Standard Arabic, rendered right-to-left).
+ * Missing keys fall back to English.
+ */
+const ar = {
+  "brand.name": "ماسترز إنجلش",
+  "brand.sub": "أكاديمية اللغة الإنجليزية",
+  "brand.home": "العودة إلى الصفحة الرئيسية",
+  "footer.copyright": "© {year} أكاديمية ماسترز إنجلش",
+  "privacy.notice": "إشعار الخصوصية",
+  "privacy.delete": "حذف البيانات المحفوظة على هذا الجهاز",
+  "privacy.deleteConfirm": "هل تريد حذف كل ما حفظه هذا الموقع على جهازك بخصوص طلبك (المسودة، الطلبات غير المرسلة، إجابات الاستبيان)؟",
+  "privacy.deleted": "تم حذف البيانات المحفوظة.",
+  "language.label": "اللغة",
+  "document.title": "{step} · ماسترز إنجلش",
+
+  "hero.title": "الأسعار والباقات",
+  "hero.intro": "اختر العملة ← اختر نوع الدورة ← اختر الباقة ← قدّم طلبك.",
+  "currency.label": "العملة:",
+  "currency.choose": "اختر العملة",
+
+  "catalog.loading": "جارٍ تحميل الدورات والأسعار…",
+  "catalog.unavailableTitle": "قائمة الأسعار غير متاحة مؤقتًا",
+  "catalog.unavailableText":
+    "يرجى المحاولة مرة أخرى بعد قليل. إذا استمرت المشكلة، تواصل معنا وسنرسل إليك باقاتنا الحالية عبر البريد الإلكتروني.",
+  "catalog.loadFailed": "تعذّر تحميل قائمة الدورات.",
+
+  "common.back": "رجوع",
+  "common.tryAgain": "حاول مرة أخرى",
+
+  "draft.title": "هل تريد متابعة طلبك؟",
+  "draft.text": "بدأت التقديم على {course} • {package} بتاريخ {date}.",
+  "draft.resume": "متابعة الطلب",
+  "draft.discard": "تجاهل",
+
+  "steps.type": "اختر الدورة",
+  "steps.packages": "اختر الباقة",
+  "steps.details": "تفاصيل الباقة",
+  "steps.apply": "التقديم",
+  "steps.confirmation": "تم استلام الطلب",
+  "steps.badge": "الخطوة {n}",
+
+  "type.kicker": "خيار الدورة",
+  "type.viewPackages": "عرض الباقات",
+
+  "quiz.teaserTitle": "لست متأكدًا أي دورة تناسبك؟",
+  "quiz.teaserText": "أجب عن أربعة أسئلة سريعة وسنقترح عليك دورة وباقة.",
+  "quiz.start": "ساعدني في الاختيار",
+  "quiz.showResult": "عرض الاقتراح",
+  "quiz.kicker": "مساعد اختيار الدورة",
+  "quiz.title": "أخبرنا قليلًا عن نفسك",
+  "quiz.resultTitle": "اقتراحنا لك",
+  "quiz.close": "إغلاق",
+  "quiz.submit": "اعرض اقتراحي",
+  "quiz.viewPackage": "عرض هذه الباقة",
+  "quiz.retake": "تعديل إجاباتي",
+  "quiz.goal": "ما هدفك الرئيسي؟",
+  "quiz.goal.general": "تحسين لغتي الإنجليزية بشكل عام",
+  "quiz.goal.speaking": "التحدث بثقة أكبر",
+  "quiz.goal.exam": "الاستعداد لاختبار (IELTS / TOEFL)",
+  "quiz.goal.unsure": "لم أقرر بعد",
+  "quiz.level": "ما مستواك الحالي؟",
+  "quiz.level.beginner": "مبتدئ",
+  "quiz.level.intermediate": "متوسط",
+  "quiz.level.advanced": "متقدم",
+  "quiz.level.unknown": "لا أعرف",
+  "quiz.weekly": "كم درسًا يمكنك أخذه أسبوعيًا؟",
+  "quiz.weekly.one": "درس واحد تقريبًا",
+  "quiz.weekly.two": "٢–٣ دروس",
+  "quiz.weekly.four": "٤ دروس أو أكثر",
+  "quiz.budget": "ما مقدار الالتزام الذي تفضّله؟",
+  "quiz.budget.small": "البداية بشيء صغير",
+  "quiz.budget.medium": "شهران تقريبًا",
+  "quiz.budget.large": "خطة أطول بأفضل سعر",
+  "quiz.reason.goal.general": "تريد تحسين لغتك الإنجليزية بشكل عام — الدورة المنظّمة تغطي جميع المهارات.",
+  "quiz.reason.goal.speaking": "تريد التحدث بثقة أكبر — دروس المحادثة تجعلك تتكلم من اليوم الأول.",
+  "quiz.reason.goal.exam": "تستعد لاختبار — معرفة مستواك بدقة أولًا تساعدنا على التخطيط للتحضير.",
+  "quiz.reason.goal.unsure": "ما زلت تقرر — الدرس الأول المجاني هو أسهل طريقة لتتعرّف على طريقتنا في التدريس.",
+  "quiz.reason.level.beginner": "كمبتدئ ستتقدّم أسرع مع دورة خطوة بخطوة.",
+  "quiz.reason.level.intermediate": "في المستوى المتوسط، الممارسة المنتظمة تحوّل ما تعرفه إلى طلاقة.",
+  "quiz.reason.level.advanced": "في المستوى المتقدم، تساعدك المحادثة على صقل طلاقتك ومفرداتك.",
+  "quiz.reason.level.unknown": "لست متأكدًا من مستواك — اختبار تحديد المستوى يخبرنا من أين نبدأ.",
+  "quiz.reason.single": "درس واحد يتيح لك البداية بشيء صغير واختيار الباقة لاحقًا.",
+  "quiz.reason.package":
+    "{count} درسًا بمعدل {perWeek} أسبوعيًا تقريبًا تستمر نحو {weeks} أسابيع، وهذا يناسب الوقت والميزانية اللذين ذكرتهما.",
+  "quiz.reason.bestValue": "كما أنها الأفضل قيمة للدرس الواحد في هذه الدورة.",
+
+  "packages.heading": "اختر باقتك",
+  "packages.viewDetails": "عرض التفاصيل",
+  "custom.title": "باقة مخصّصة",
+  "custom.kicker": "صمّم باقتك",
+  "custom.heading": "اختر عدد الدروس الذي تريده بالضبط",
+  "custom.text": "تحتاج 15 أو 30 درسًا؟ اختر أي عدد — والسعر يتبع أسعار باقاتنا.",
+  "custom.tier": "بسعر باقة {package}",
+  "custom.capped": "بنفس سعر باقة {package} التي تمنحك دروسًا أكثر",
+  "custom.choose": "اختيار هذه الباقة",
+
+  "referral.welcome": "أهلًا بك! لقد دعاك صديق (الرمز {code}).",
+  "referral.teaserTitle": "هل أنت طالب لدينا؟ ادعُ صديقًا",
+  "referral.teaserText": "احصل على رابطك الخاص لمشاركته، وسنعرف أن الأصدقاء الذين ينضمون جاؤوا من طرفك.",
+  "referral.getLink": "احصل على رابطي",
+  "referral.kicker": "ادعُ صديقًا",
+  "referral.title": "رابط الدعوة الخاص بك",
+  "referral.text": "شارك رابطك مع أصدقائك، وسنعرف أنهم جاؤوا من طرفك.",
+  "referral.shareReward": "شارك رابطك: عندما ينضم صديق تحصلان على {reward}. {condition}",
+  "referral.name": "اسمك",
+  "referral.email": "بريدك الإلكتروني",
+  "referral.hint": "استخدم الاسم والبريد الإلكتروني اللذين سجّلت بهما، لنتمكن من ربط الرابط بك.",
+  "referral.create": "إنشاء رابطي",
+  "referral.yourLink": "رابطك",
+  "referral.copy": "نسخ",
+  "referral.copied": "تم نسخ الرابط.",
+  "referral.shareHint": "أرسله في رسالة أو بريد إلكتروني، أو انشره في أي مكان.",
+  "referral.freeLessons": {
+    zero: "لا دروس مجانية",
+    one: "درس مجاني واحد",
+    two: "درسان مجانيان",
+    few: "{count} دروس مجانية",
+    many: "{count} درسًا مجانيًا",
+    other: "{count} درس مجاني",
+  },
+  "referral.rewardBoth": "{you} لك و{friend} لصديقك",
+  "referral.rewardYou": "{you} لك",
+  "referral.rewardFriend": "{friend} لصديقك",
+  "referral.conditionMin": "تنطبق مكافأة الدعوة على باقات {lessons} فأكثر.",
+  "referral.conditionPaid": "تنطبق مكافأة الدعوة على الباقات المدفوعة.",
+  "packages.view": "طريقة عرض الباقات",
+  "packages.view.cards": "بطاقات",
+  "packages.view.compare": "مقارنة",
+
+  "compare.caption": "التوفير محسوب مقارنةً بشراء العدد نفسه من الدروس المفردة.",
+  "compare.package": "الباقة",
+  "compare.lessons": "الدروس",
+  "compare.total": "الإجمالي",
+  "compare.perLesson": "للدرس الواحد",
+  "compare.savings": "توفّر",
+  "compare.saves": "{amount} ({percent})",
+  "compare.bestValue": "الأفضل قيمة",
+  "compare.select": "اختيار",
+
+  lessons: {
+    zero: "لا توجد دروس",
+    one: "درس واحد",
+    two: "درسان",
+    few: "{count} دروس",
+    many: "{count} درسًا",
+    other: "{count} درس",
+  },
+  "price.free": "مجانًا",
+  "price.freeOnce": "مجانًا (لمرة واحدة)",
+  "price.perLesson": "{price} للدرس",
+
+  "details.selected": "ما اخترته",
+  "details.applyNow": "قدّم الآن",
+  "details.howItWorks": "كيف تعمل",
+  "details.how1": "قدّم على دورة",
+  "details.how2": "نتواصل معك",
+  "details.how3": "ابدأ التعلّم",
+
+  "apply.kicker": "التقديم على",
+  "form.fullName": "الاسم الكامل",
+  "form.fullNamePlaceholder": "اسمك الكامل",
+  "form.email": "البريد الإلكتروني",
+  "form.phone": "رقم الهاتف",
+  "form.phonePlaceholder": "5123 4567",
+  "form.dialCode": "رمز الدولة",
+  "form.dialPlaceholder": "+…",
+  "form.country": "بلد الإقامة",
+  "form.countryPlaceholder": "ابحث عن الدولة…",
+  "form.emailPlaceholder": "you@example.com",
+  "form.choose": "يرجى الاختيار…",
+  "form.level": "مستواك الحالي في الإنجليزية",
+  "form.level.beginner": "مبتدئ",
+  "form.level.elementary": "أساسي",
+  "form.level.intermediate": "متوسط",
+  "form.level.upperIntermediate": "فوق المتوسط",
+  "form.level.advanced": "متقدم",
+  "form.goals": "أهداف التعلّم",
+  "form.goals.work": "العمل / المسار المهني",
+  "form.goals.study": "الدراسة في الخارج",
+  "form.goals.travel": "السفر",
+  "form.goals.exams": "الاختبارات",
+  "form.goals.everyday": "الحياة اليومية",
+  "form.goals.other": "هدف آخر",
+  "form.goalsOther": "أخبرنا عن هدفك",
+  "form.topics": "المواضيع التي تودّ التحدث عنها",
+  "form.topics.everyday": "الحياة اليومية",
+  "form.topics.travel": "السفر",
+  "form.topics.business": "الأعمال",
+  "form.topics.culture": "الثقافة والأفلام",
+  "form.topics.news": "الأخبار والأحداث الجارية",
+  "form.topics.technology": "التقنية",
+  "form.topics.other": "موضوع آخر",
+  "form.topicsOther": "ما المواضيع الأخرى؟",
+  "form.examTarget": "الاختبار الذي تستعد له",
+  "form.examTarget.ielts": "IELTS",
+  "form.examTarget.toefl": "TOEFL",
+  "form.examTarget.none": "لا يوجد اختبار — أريد معرفة مستواي فقط",
+  "form.examScore": "الدرجة المستهدفة (اختياري)",
+  "form.examDate": "تاريخ الاختبار (اختياري)",
+  "form.recipientName": "الاسم الكامل للمُهدى إليه",
+  "form.recipientEmail": "البريد الإلكتروني للمُهدى إليه",
+  "form.giftDeliveryDate": "إرسال الهدية في (اختياري)",
+  "form.giftMessage": "رسالة شخصية (اختياري)",
+  "form.giftMessagePlaceholder": "عيد ميلاد سعيد! استمتع بدروسك…",
+  "form.marketingOptIn": "نعم، أرسلوا لي الأخبار والعروض من حين لآخر عبر البريد الإلكتروني. يمكنني إلغاء الاشتراك في أي وقت.",
+  "consent.privacy": "لقد قرأت {link} (الإصدار {version}) وأوافق على أن تستخدم ماسترز إنجلش بياناتي لمعالجة هذا الطلب.",
+  "consent.privacyLink": "إشعار الخصوصية",
+  "consent.withdrawn": "تم سحب الموافقة — حذفنا بيانات الطلب المحفوظة على هذا الجهاز.",
+  "consent.withdrawnQueued":
+    "تم سحب الموافقة — حذفنا بيانات الطلب المحفوظة على هذا الجهاز، بما فيها الطلب الذي كان بانتظار الإرسال. لن يُرسَل.",
+
+  "validation.required": "هذا الحقل مطلوب.",
+  "validation.consent": "يرجى الموافقة على إشعار الخصوصية حتى نتمكن من معالجة طلبك.",
+  "validation.requiredChoice": "يرجى اختيار خيار واحد على الأقل.",
+  "validation.fullName": "يرجى إدخال اسمك الكامل.",
+  "validation.email": "يرجى إدخال بريد إلكتروني صحيح، مثل name@example.com.",
+  "validation.country": "يرجى اختيار دولتك من القائمة.",
+  "validation.dialCode": "يرجى اختيار رمز الدولة.",
+  "validation.phone": "يرجى إدخال رقم هاتف صحيح.",
+  "validation.notPast": "يرجى اختيار تاريخ اليوم أو تاريخ لاحق.",
+  "form.scheduleTitle": "التاريخ والوقت المفضّلان",
+
+  "slots.days": "الأيام المتاحة",
+  "slots.times": "الأوقات المتاحة",
+  "slots.none": "لا توجد مواعيد متاحة في الأيام القادمة — أرسل طلبك وسنقترح عليك موعدًا عبر البريد الإلكتروني.",
+  "slots.zoneHint": "الأوقات معروضة بحسب منطقتك الزمنية ({zone}). سنؤكد الموعد بالضبط عبر البريد الإلكتروني.",
+  "slots.zoneHintBoth":
+    "الأوقات معروضة بحسب منطقتك الزمنية ({zone})، وتحتها توقيت الأكاديمية ({academyZone}). سنؤكد الموعد بالضبط عبر البريد الإلكتروني.",
+  "slots.academyTime": "{time} بتوقيت الأكاديمية",
+  "form.timeZone": "منطقتك الزمنية",
+
+  "promo.label": "رمز الخصم",
+  "promo.placeholder": "لديك رمز؟ أدخله هنا",
+  "promo.apply": "تطبيق",
+  "promo.remove": "إزالة",
+  "promo.applied": "تم تطبيق {code} — ستوفّر {discount}.",
+  "promo.error.unknown": "لم نتعرّف على هذا الرمز. يرجى التحقق من كتابته.",
+  "promo.error.notStarted": "لم يبدأ هذا العرض بعد.",
+  "promo.error.expired": "انتهى هذا العرض.",
+  "promo.error.courseType": "هذا الرمز غير صالح لهذه الدورة.",
+  "promo.error.package": "هذا الرمز غير صالح لحجم هذه الباقة.",
+  "promo.error.currency": "هذا الرمز غير صالح بالعملة المختارة.",
+  "promo.error.free": "هذه الباقة مجانية بالفعل.",
+
+  "submit.button": "إرسال الطلب",
+  "submit.submitting": "جارٍ الإرسال...",
+  "submit.queuedButton": "في الانتظار",
+  "submit.success": "تم الإرسال! سنتواصل معك عبر البريد الإلكتروني بالخطوات التالية.",
+  "submit.successQueued": "تم إرسال طلبك المنتظر! سنتواصل معك عبر البريد الإلكتروني بالخطوات التالية.",
+  "submit.successHandoff": "سيُفتح تطبيق البريد لديك وفيه طلبك — يرجى الضغط على إرسال لإتمامه.",
+  "submit.queued": "في قائمة الانتظار — سنرسل طلبك تلقائيًا عند عودة الاتصال بالإنترنت.",
+  "submit.errorGeneric": "تعذّر الإرسال. يرجى المحاولة مرة أخرى.",
+  "submit.errorNetwork": "تعذّر الوصول إلى الخادم. تحقّق من اتصالك وحاول مرة أخرى.",
+  "submit.tooFast": "كان ذلك سريعًا! يرجى مراجعة بياناتك والضغط على إرسال مرة أخرى بعد بضع ثوانٍ.",
+  "submit.duplicate": "لقد استلمنا طلبك لهذه الباقة بالفعل — سنتواصل معك عبر البريد الإلكتروني قريبًا. هل تريد تعديل شيء؟ فقط قم بالرد على رسالتنا.",
+  "submit.rateLimited": "لقد أرسلت عدة طلبات خلال وقت قصير. يرجى المحاولة مرة أخرى بعد {minutes} دقيقة، أو التواصل معنا مباشرة.",
+  "submit.errorConfig": "لم يتم إعداد الإرسال بعد. يرجى التواصل معنا مباشرة.",
+  "outbox.failedTitle": "لم يتم تسليم أحد الطلبات.",
+  "outbox.failedText": "{course} • {package} (المرجع {reference}) رُفض عند محاولة إرساله:",
+  "outbox.retry": "حاول مرة أخرى",
+  "outbox.dismiss": "إخفاء",
+  "outbox.pendingTitle": "هناك طلب في انتظار الإرسال.",
+  "outbox.pendingText": "سيُرسل طلب {course} • {package} (المرجع {reference}) تلقائيًا بمجرد عودة الاتصال بالإنترنت.",
+  "outbox.viewConfirmation": "عرض التأكيد",
+
+  "ics.heading": "أضِفه إلى تقويمك",
+  "ics.text": "الموعد المطلوب: {time} — بانتظار التأكيد. سنراسلك عبر البريد الإلكتروني لتأكيده أو لاقتراح وقت آخر.",
+  "ics.download": "تنزيل ملف التقويم (.ics)",
+  "ics.title": "ماسترز إنجلش: {course} (بانتظار التأكيد)",
+  "ics.description":
+    "بانتظار التأكيد — هذا هو الموعد الذي طلبته، وستؤكده ماسترز إنجلش عبر البريد الإلكتروني.\n\n{course} — {package}\nالمدة: {minutes} دقيقة\nالموعد المطلوب: {time} ({zone})",
+
+  "quote.download": "تنزيل عرض السعر",
+  "quote.title": "عرض سعر",
+  "quote.reference": "الرقم المرجعي:",
+  "quote.date": "التاريخ:",
+  "quote.course": "الدورة",
+  "quote.package": "الباقة",
+  "quote.lessons": "عدد الدروس",
+  "quote.perLesson": "سعر الدرس الواحد",
+  "quote.currency": "العملة",
+  "quote.schedule": "الموعد المفضّل",
+  "quote.discount": "الخصم ({code})",
+  "quote.groupDiscount": "خصم العائلة ({percent}٪)",
+  "quote.plan": "خطة الدفع",
+  "quote.total": "الإجمالي",
+  "quote.validity": "هذا العرض صالح لمدة {days} يومًا، حتى {date}.",
+  "quote.footer": "للموافقة، قدّم طلبك عبر موقعنا أو راسلنا مع ذكر الرقم المرجعي {reference}.",
+
+  "plan.title": "كيف تفضّل الدفع؟",
+  "plan.full": "الدفع كاملًا",
+  "plan.monthly": {
+    zero: "{count} دفعات شهرية",
+    one: "دفعة شهرية واحدة",
+    two: "دفعتان شهريتان",
+    few: "{count} دفعات شهرية",
+    many: "{count} دفعة شهرية",
+    other: "{count} دفعة شهرية",
+  },
+  "plan.each": "{count} × {amount}",
+  "plan.surcharge": "+{percent}٪ رسوم تقسيط، والإجمالي {total}",
+  "plan.noSurcharge": "بدون رسوم إضافية",
+  "plan.groupFull": "التقسيط متاح لطلبات المتعلّم الواحد فقط، أما الطلب العائلي فيُدفع كاملًا.",
+
+  "gift.toggle": "هذه هدية لشخص آخر",
+  "gift.hint": "بيانات التواصل الخاصة بك هي بيانات المشتري: نرسل إليك تفاصيل الدفع، ونتواصل مع المُهدى إليه لتحديد مواعيد دروسه.",
+  "gift.printCard": "طباعة بطاقة الهدية",
+  "gift.heading": "هدية إلى {name}",
+  "gift.cardText": "اطبع بطاقة الهدية أو احفظها بصيغة PDF لتقدّمها بنفسك.",
+  "gift.recipient": "المُهدى إليه",
+  "gift.deliveryOn": "رسالة الهدية في {date}",
+
+  "giftCard.kicker": "بطاقة هدية",
+  "giftCard.for": "إلى {name}",
+  "giftCard.lessons": "{lessons} مع أكاديمية ماسترز إنجلش",
+  "giftCard.from": "من {name}",
+  "giftCard.date": "التاريخ: {date}",
+  "giftCard.code": "رمز الهدية",
+  "giftCard.redeem": "للبدء، ردّ على رسالتنا أو تواصل معنا واذكر رمز الهدية — وسنحدد معك الوقت المناسب.",
+
+  "group.toggle": "أسجّل أكثر من متعلّم (عائلة أو مجموعة)",
+  "group.contactHint": "بيانات التواصل أدناه خاصة بك بصفتك وليّ الأمر أو المنظّم، وسنرسل إليك كل ما يخص هذا الطلب.",
+  "group.learner": "المتعلّم {n}",
+  "group.name": "الاسم الكامل للمتعلّم",
+  "group.ageBracket": "العمر",
+  "group.age.under7": "أقل من 7 سنوات",
+  "group.age.7to12": "7–12 سنة",
+  "group.age.13to17": "13–17 سنة",
+  "group.age.18plus": "18 سنة فأكثر",
+  "group.courseType": "الدورة",
+  "group.package": "الباقة",
+  "group.firstLearner": "{course} • {package} (اختيارك)",
+  "group.lineDiscount": "−{amount} خصم العائلة",
+  "group.add": "إضافة متعلّم",
+  "group.remove": "إزالة",
+  "group.discountHint": "تحصل العائلات والمجموعات على خصم لكل متعلّم إضافي في باقة مدفوعة.",
+  "group.discountApplied": "خصم العائلة: {percent}٪ على كل متعلّم إضافي في باقة مدفوعة.",
+
+  "confirm.kicker": "تم استلام الطلب",
+  "confirm.title": "شكرًا لك — وصلنا طلبك",
+  "confirm.reference": "الرقم المرجعي لطلبك",
+  "confirm.referenceHint": "احتفظ به واذكره كلما تواصلت معنا بخصوص هذا الطلب.",
+  "confirm.nextTitle": "ماذا بعد؟",
+  "confirm.next1": "نراجع طلبك ونراسلك على {email}، عادةً خلال يوم عمل واحد.",
+  "confirm.next2": "نتفق معك على المواعيد ونرسل لك تفاصيل الدفع.",
+  "confirm.next2Slot": "نؤكد الموعد الذي طلبته، أو نقترح موعدًا آخر إن لم يعد متاحًا.",
+  "confirm.next3": "تصلك بيانات معلّمك ورابط درسك الأول.",
+  "confirm.next3Gift": "نراسل {name} بخصوص هديته ونرسل إليه بيانات المعلّم ورابط الدرس الأول.",
+  "confirm.next3GiftDate": "في {date} نراسل {name} بخصوص هديته، ثم نرسل إليه بيانات المعلّم ورابط الدرس الأول.",
+  "confirm.contact": "بيانات التواصل",
+  "confirm.submittedAt": "أُرسل في {time}",
+  "confirm.startNew": "بدء طلب جديد",
+  "confirm.view": "عرض التأكيد",
+  "confirm.lockedTitle": "لقد قدّمت على هذه الباقة بالفعل",
+  "confirm.lockedText": "تم إرسال طلبك {reference}. لتقديم طلب آخر، ابدأ طلبًا جديدًا.",
+  "confirm.missingTitle": "لا يوجد طلب لعرضه",
+  "confirm.missingText": "لم نجد هذا الطلب في هذا المتصفح. إن كنت قد قدّمت بالفعل، فتحقق من بريدك الإلكتروني بحثًا عن ردّنا.",
+
+  "summary.nextStep": "الخطوة التالية",
+  "summary.nextStepText": "ستصلك رسالة تأكيد عبر البريد الإلكتروني بالخطوات التالية.",
+  "summary.title": "اختيارك",
+  "summary.course": "الدورة:",
+  "summary.package": "الباقة:",
+  "summary.lessons": "عدد الدروس:",
+  "summary.total": "السعر الإجمالي:",
+  "summary.discount": "الخصم ({code}):",
+  "summary.groupDiscount": "خصم العائلة ({percent}٪):",
+  "summary.groupDiscountTotal": "خصم العائلة:",
+  "summary.combinedTotal": "الإجمالي الكلي:",
+  "summary.giftFor": "هدية إلى:",
+  "summary.referredBy": "بدعوة من:",
+  "summary.plan": "خطة الدفع:",
+  "summary.planSurcharge": "يشمل رسوم تقسيط بقيمة {amount}",
+  "summary.slot": "الموعد المطلوب:",
+  "summary.slotAcademy": "{time} بتوقيت الأكاديمية",
+};
+
+export default ar;
@@ -0,0 +1,361 @@
+/**
+ * English UI messages (also the fallback for missing Arabic keys).
+ * - `{name}` placeholders are filled by t(key, { name })
+ * - plural messages are objects keyed by Intl.PluralRules category and use `{count}`
+ */
+const en = {
+  "brand.name": "Masters English",
+  "brand.sub": "English Academy",
+  "brand.home": "Go to home",
+  "footer.copyright": "© {year} Masters English Academy",
+  "privacy.notice": "Privacy notice",
+  "privacy.delete": "Delete data saved on this device",
+  "privacy.deleteConfirm":
+    "Delete everything this site saved on this device about your application (draft, unsent applications, quiz answers)?",
+  "privacy.deleted": "Saved data deleted.",
+  "language.label": "Language",
+  "document.title": "{step} · Masters English",
+
+  "hero.title": "Pricing & Packages",
+  "hero.intro": "Choose a currency → choose a course type → choose a package → apply.",
+  "currency.label": "Currency:",
+  "currency.choose": "Choose currency",
+
+  "catalog.loading": "Loading courses and prices…",
+  "catalog.unavailableTitle": "Our price list is temporarily unavailable",
+  "catalog.unavailableText":
+    "Please try again in a moment. If the problem persists, contact us and we will send you our current packages by email.",
+  "catalog.loadFailed": "The course catalog could not be loaded.",
+
+  "common.back": "Back",
+  "common.tryAgain": "Try again",
+
+  "draft.title": "Continue your application?",
+  "draft.text": "You started applying for {course} • {package} on {date}.",
+  "draft.resume": "Continue application",
+  "draft.discard": "Discard",
+
+  "steps.type": "Choose a course",
+  "steps.packages": "Choose a package",
+  "steps.details": "Package details",
+  "steps.apply": "Apply",
+  "steps.confirmation": "Application received",
+  "steps.badge": "Step {n}",
+
+  "type.kicker": "Course option",
+  "type.viewPackages": "View packages",
+
+  "quiz.teaserTitle": "Not sure which course fits you?",
+  "quiz.teaserText": "Answer four quick questions and we’ll suggest a course and package.",
+  "quiz.start": "Help me choose",
+  "quiz.showResult": "See my recommendation",
+  "quiz.kicker": "Course finder",
+  "quiz.title": "Tell us a little about yourself",
+  "quiz.resultTitle": "Our recommendation for you",
+  "quiz.close": "Close",
+  "quiz.submit": "Show my recommendation",
+  "quiz.viewPackage": "View this package",
+  "quiz.retake": "Change my answers",
+  "quiz.goal": "What is your main goal?",
+  "quiz.goal.general": "Improve my English overall",
+  "quiz.goal.speaking": "Speak more confidently",
+  "quiz.goal.exam": "Prepare for an exam (IELTS / TOEFL)",
+  "quiz.goal.unsure": "I’m not sure yet",
+  "quiz.level": "What is your current level?",
+  "quiz.level.beginner": "Beginner",
+  "quiz.level.intermediate": "Intermediate",
+  "quiz.level.advanced": "Advanced",
+  "quiz.level.unknown": "I don’t know",
+  "quiz.weekly": "How many lessons can you take per week?",
+  "quiz.weekly.one": "About 1",
+  "quiz.weekly.two": "2–3",
+  "quiz.weekly.four": "4 or more",
+  "quiz.budget": "How much would you like to commit?",
+  "quiz.budget.small": "Start small",
+  "quiz.budget.medium": "A couple of months",
+  "quiz.budget.large": "A longer plan at the best price",
+  "quiz.reason.goal.general": "You want to improve your English overall — a structured course covers all skills.",
+  "quiz.reason.goal.speaking": "You want to speak more confidently — conversation practice gets you talking from day one.",
+  "quiz.reason.goal.exam": "You’re preparing for an exam — knowing your exact level first lets us plan the preparation.",
+  "quiz.reason.goal.unsure": "You’re still deciding — a free first lesson is the easiest way to see how we teach.",
+  "quiz.reason.level.beginner": "As a beginner you’ll progress fastest with a step-by-step course.",
+  "quiz.reason.level.intermediate": "At an intermediate level, regular practice turns what you know into fluency.",
+  "quiz.reason.level.advanced": "At an advanced level, conversation helps you polish fluency and vocabulary.",
+  "quiz.reason.level.unknown": "You’re not sure about your level — a placement test tells us where to start.",
+  "quiz.reason.single": "A single lesson lets you start small and decide on a package later.",
+  "quiz.reason.package":
+    "{count} lessons at about {perWeek} per week last roughly {weeks} weeks, which matches the time and budget you described.",
+  "quiz.reason.bestValue": "It’s also the best value per lesson in this course.",
+
+  "packages.heading": "Choose your package",
+  "packages.viewDetails": "View details",
+  "custom.title": "Custom package",
+  "custom.kicker": "Build your own",
+  "custom.heading": "Pick exactly how many lessons you want",
+  "custom.text": "Need 15 or 30 lessons? Choose any number — the price follows our package rates.",
+  "custom.tier": "{package} rate",
+  "custom.capped": "Same price as the {package}, which gives you more lessons",
+  "custom.choose": "Choose this package",
+
+  "referral.welcome": "Welcome! You were invited by a friend (code {code}).",
+  "referral.teaserTitle": "Already a student? Invite a friend",
+  "referral.teaserText": "Get your own link to share — we’ll know the friends who join came from you.",
+  "referral.getLink": "Get my link",
+  "referral.kicker": "Invite a friend",
+  "referral.title": "Your referral link",
+  "referral.text": "Share your link with friends — we’ll know they came from you.",
+  "referral.shareReward": "Share your link: when a friend joins, there’s {reward}. {condition}",
+  "referral.name": "Your name",
+  "referral.email": "Your email",
+  "referral.hint": "Use the name and email you enrolled with, so we can match your link to you.",
+  "referral.create": "Create my link",
+  "referral.yourLink": "Your link",
+  "referral.copy": "Copy",
+  "referral.copied": "Link copied.",
+  "referral.shareHint": "Send it by message or email, or post it anywhere.",
+  "referral.freeLessons": { one: "{count} free lesson", other: "{count} free lessons" },
+  "referral.rewardBoth": "{you} for you and {friend} for your friend",
+  "referral.rewardYou": "{you} for you",
+  "referral.rewardFriend": "{friend} for your friend",
+  "referral.conditionMin": "The referral reward applies to packages of {lessons} or more.",
+  "referral.conditionPaid": "The referral reward applies to paid packages.",
+  "packages.view": "Package view",
+  "packages.view.cards": "Cards",
+  "packages.view.compare": "Compare",
+
+  "compare.caption": "Savings are compared with buying the same number of single lessons.",
+  "compare.package": "Package",
+  "compare.lessons": "Lessons",
+  "compare.total": "Total",
+  "compare.perLesson": "Per lesson",
+  "compare.savings": "You save",
+  "compare.saves": "{amount} ({percent})",
+  "compare.bestValue": "Best value",
+  "compare.select": "Select",
+
+  lessons: { one: "{count} lesson", other: "{count} lessons" },
+  "price.free": "Free",
+  "price.freeOnce": "Free (one-time)",
+  "price.perLesson": "{price} per lesson",
+
+  "details.selected": "What you selected",
+  "details.applyNow": "Apply now",
+  "details.howItWorks": "How it works",
+  "details.how1": "Apply for a course",
+  "details.how2": "We contact you",
+  "details.how3": "Start learning",
+
+  "apply.kicker": "Applying for",
+  "form.fullName": "Full name",
+  "form.fullNamePlaceholder": "Your full name",
+  "form.email": "Email",
+  "form.phone": "Phone number",
+  "form.phonePlaceholder": "1512 3456789",
+  "form.dialCode": "Country code",
+  "form.dialPlaceholder": "+…",
+  "form.country": "Country of residence",
+  "form.countryPlaceholder": "Search countries…",
+  "form.emailPlaceholder": "you@example.com",
+  "form.choose": "Please choose…",
+  "form.level": "Current English level",
+  "form.level.beginner": "Beginner",
+  "form.level.elementary": "Elementary",
+  "form.level.intermediate": "Intermediate",
+  "form.level.upperIntermediate": "Upper intermediate",
+  "form.level.advanced": "Advanced",
+  "form.goals": "Learning goals",
+  "form.goals.work": "Work / career",
+  "form.goals.study": "Study abroad",
+  "form.goals.travel": "Travel",
+  "form.goals.exams": "Exams",
+  "form.goals.everyday": "Everyday life",
+  "form.goals.other": "Something else",
+  "form.goalsOther": "Tell us about your goal",
+  "form.topics": "Topics you’d like to talk about",
+  "form.topics.everyday": "Everyday life",
+  "form.topics.travel": "Travel",
+  "form.topics.business": "Business",
+  "form.topics.culture": "Culture & films",
+  "form.topics.news": "News & current events",
+  "form.topics.technology": "Technology",
+  "form.topics.other": "Something else",
+  "form.topicsOther": "Which other topics?",
+  "form.examTarget": "Exam you’re preparing for",
+  "form.examTarget.ielts": "IELTS",
+  "form.examTarget.toefl": "TOEFL",
+  "form.examTarget.none": "No exam — just my level",
+  "form.examScore": "Target score (optional)",
+  "form.examDate": "Exam date (optional)",
+  "form.recipientName": "Recipient’s full name",
+  "form.recipientEmail": "Recipient’s email",
+  "form.giftDeliveryDate": "Send the gift on (optional)",
+  "form.giftMessage": "Personal message (optional)",
+  "form.giftMessagePlaceholder": "Happy birthday! Enjoy your lessons…",
+  "form.marketingOptIn": "Yes, send me occasional news and offers by email. I can unsubscribe at any time.",
+  "consent.privacy":
+    "I have read the {link} (version {version}) and agree that Masters English uses my details to process this application.",
+  "consent.privacyLink": "privacy notice",
+  "consent.withdrawn": "Consent withdrawn — we deleted the application data saved on this device.",
+  "consent.withdrawnQueued":
+    "Consent withdrawn — we deleted the application data saved on this device, including the application that was waiting to be sent. It won’t be sent.",
+
+  "validation.required": "This field is required.",
+  "validation.consent": "Please accept the privacy notice so we can process your application.",
+  "validation.requiredChoice": "Please pick at least one option.",
+  "validation.fullName": "Please enter your full name.",
+  "validation.email": "Please enter a valid email address, like name@example.com.",
+  "validation.country": "Please choose your country from the list.",
+  "validation.dialCode": "Please choose your country code.",
+  "validation.phone": "Please enter a valid phone number.",
+  "validation.notPast": "Please choose today or a later date.",
+  "form.scheduleTitle": "Preferred date & time",
+
+  "slots.days": "Available days",
+  "slots.times": "Available times",
+  "slots.none": "No free times in the coming days — send your application and we’ll propose a time by email.",
+  "slots.zoneHint": "Times are shown in your time zone ({zone}). We’ll confirm the exact time by email.",
+  "slots.zoneHintBoth":
+    "Times are shown in your time zone ({zone}), with the academy’s time ({academyZone}) underneath. We’ll confirm the exact time by email.",
+  "slots.academyTime": "{time} academy",
+  "form.timeZone": "Your time zone",
+
+  "promo.label": "Promo code",
+  "promo.placeholder": "Have a code? Enter it here",
+  "promo.apply": "Apply",
+  "promo.remove": "Remove",
+  "promo.applied": "{code} applied — you save {discount}.",
+  "promo.error.unknown": "We don't recognise this code. Please check the spelling.",
+  "promo.error.notStarted": "This offer hasn't started yet.",
+  "promo.error.expired": "This offer has ended.",
+  "promo.error.courseType": "This code isn't valid for this course.",
+  "promo.error.package": "This code isn't valid for this package size.",
+  "promo.error.currency": "This code isn't valid in the selected currency.",
+  "promo.error.free": "This package is already free.",
+
+  "submit.button": "Submit application",
+  "submit.submitting": "Submitting...",
+  "submit.queuedButton": "Queued",
+  "submit.success": "Submitted! We will contact you by email with the next steps.",
+  "submit.successQueued": "Your queued application was sent! We will contact you by email with the next steps.",
+  "submit.successHandoff": "Your email app should open with your application — please press send to finish.",
+  "submit.queued": "Queued — we'll send your application automatically when you're back online.",
+  "submit.errorGeneric": "Submission failed. Please try again.",
+  "submit.errorNetwork": "We couldn't reach the server. Check your connection and try again.",
+  "submit.tooFast": "That was quick! Please check your details and press submit again in a few seconds.",
+  "submit.duplicate": "We already have your application for this package — we’ll be in touch by email soon. Need to change something? Just reply to our email.",
+  "submit.rateLimited": "You’ve sent several applications in a short time. Please try again in {minutes} minutes, or contact us directly.",
+  "submit.errorConfig": "Submissions are not configured yet. Please contact us directly.",
+  "outbox.failedTitle": "An application wasn’t delivered.",
+  "outbox.failedText": "{course} • {package} (reference {reference}) was turned down when we tried to send it:",
+  "outbox.retry": "Try again",
+  "outbox.dismiss": "Dismiss",
+  "outbox.pendingTitle": "An application is waiting to be sent.",
+  "outbox.pendingText": "{course} • {package} (reference {reference}) will go out automatically as soon as you’re back online.",
+  "outbox.viewConfirmation": "View confirmation",
+
+  "ics.heading": "Add it to your calendar",
+  "ics.text": "Requested for {time} — pending confirmation. We’ll email you to confirm or suggest another time.",
+  "ics.download": "Download calendar file (.ics)",
+  "ics.title": "Masters English: {course} (pending confirmation)",
+  "ics.description":
+    "PENDING CONFIRMATION — this is the time you requested; Masters English will confirm it by email.\n\n{course} — {package}\nDuration: {minutes} minutes\nRequested time: {time} ({zone})",
+
+  "quote.download": "Download quote",
+  "quote.title": "Quote",
+  "quote.reference": "Reference:",
+  "quote.date": "Date:",
+  "quote.course": "Course",
+  "quote.package": "Package",
+  "quote.lessons": "Lessons",
+  "quote.perLesson": "Price per lesson",
+  "quote.currency": "Currency",
+  "quote.schedule": "Schedule preference",
+  "quote.discount": "Discount ({code})",
+  "quote.groupDiscount": "Family discount ({percent}%)",
+  "quote.plan": "Payment plan",
+  "quote.total": "Total",
+  "quote.validity": "This quote is valid for {days} days, until {date}.",
+  "quote.footer": "To accept, apply on our website or reply to us quoting reference {reference}.",
+
+  "plan.title": "How would you like to pay?",
+  "plan.full": "Pay in full",
+  "plan.monthly": { one: "{count} monthly payment", other: "{count} monthly payments" },
+  "plan.each": "{count} × {amount}",
+  "plan.surcharge": "+{percent}% surcharge, {total} in total",
+  "plan.noSurcharge": "No surcharge",
+  "plan.groupFull": "Installments are for single-learner applications — a family application is paid in full.",
+
+  "gift.toggle": "This is a gift for someone else",
+  "gift.hint": "Your contact details are the buyer’s: we send the payment details to you, and contact the recipient to schedule their lessons.",
+  "gift.printCard": "Print gift card",
+  "gift.heading": "Gift for {name}",
+  "gift.cardText": "Print the gift card, or save it as a PDF, to hand it over in person.",
+  "gift.recipient": "Gift recipient",
+  "gift.deliveryOn": "Gift email on {date}",
+
+  "giftCard.kicker": "Gift card",
+  "giftCard.for": "For {name}",
+  "giftCard.lessons": "{lessons} with Masters English Academy",
+  "giftCard.from": "From {name}",
+  "giftCard.date": "Date: {date}",
+  "giftCard.code": "Gift code",
+  "giftCard.redeem": "To start, reply to our email or contact us quoting your gift code — we’ll find a time that suits you.",
+
+  "group.toggle": "I’m enrolling more than one learner (family or group)",
+  "group.contactHint": "The contact details below are yours, as the parent or organiser: we send everything about this application to you.",
+  "group.learner": "Learner {n}",
+  "group.name": "Learner’s full name",
+  "group.ageBracket": "Age",
+  "group.age.under7": "Under 7",
+  "group.age.7to12": "7–12",
+  "group.age.13to17": "13–17",
+  "group.age.18plus": "18 or older",
+  "group.courseType": "Course",
+  "group.package": "Package",
+  "group.firstLearner": "{course} • {package} (your selection)",
+  "group.lineDiscount": "−{amount} family discount",
+  "group.add": "Add a learner",
+  "group.remove": "Remove",
+  "group.discountHint": "Families and groups get a discount on every additional paying learner.",
+  "group.discountApplied": "Family discount: {percent}% off every additional paying learner.",
+
+  "confirm.kicker": "Application received",
+  "confirm.title": "Thank you — we have your application",
+  "confirm.reference": "Your reference",
+  "confirm.referenceHint": "Keep it handy: quote it whenever you contact us about this application.",
+  "confirm.nextTitle": "What happens next",
+  "confirm.next1": "We review your application and email you at {email}, usually within one working day.",
+  "confirm.next2": "We agree on your schedule and send the payment details.",
+  "confirm.next2Slot": "We confirm your requested time, or suggest another one if it’s no longer free.",
+  "confirm.next3": "You receive your teacher’s details and your first lesson link.",
+  "confirm.next3Gift": "We email {name} about their gift and send them their teacher’s details and first lesson link.",
+  "confirm.next3GiftDate": "On {date} we email {name} about their gift, then send them their teacher’s details and first lesson link.",
+  "confirm.contact": "Your contact details",
+  "confirm.submittedAt": "Submitted {time}",
+  "confirm.startNew": "Start a new application",
+  "confirm.view": "View confirmation",
+  "confirm.lockedTitle": "You already applied for this package",
+  "confirm.lockedText": "Your application {reference} was submitted. To apply again, start a new application.",
+  "confirm.missingTitle": "No application to show",
+  "confirm.missingText": "We couldn’t find this application in this browser. If you already applied, check your email for our reply.",
+
+  "summary.nextStep": "Next step",
+  "summary.nextStepText": "You will receive a confirmation email with the next steps.",
+  "summary.title": "Your selection",
+  "summary.course": "Course:",
+  "summary.package": "Package:",
+  "summary.lessons": "Lessons:",
+  "summary.total": "Total price:",
+  "summary.discount": "Discount ({code}):",
+  "summary.groupDiscount": "Family discount ({percent}%):",
+  "summary.groupDiscountTotal": "Family discount:",
+  "summary.combinedTotal": "Combined total:",
+  "summary.giftFor": "Gift for:",
+  "summary.referredBy": "Referred by:",
+  "summary.plan": "Payment plan:",
+  "summary.planSurcharge": "Includes a {amount} installment surcharge",
+  "summary.slot": "Requested time:",
+  "summary.slotAcademy": "{time} academy time",
+};
+
+export default en;
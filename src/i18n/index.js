@@ -0,0 +1,76 @@
+import { createContext, useContext } from "react";
+import { readJSON } from "../lib/storage";
+import ar from "./ar";
+import en from "./en";
+
+/**
+ * Tiny i18n layer.
+ * - message catalogs live next to this file (en.js, ar.js)
+ * - `t(key, vars)` fills `{placeholders}` and picks plural forms with Intl.PluralRules
+ * - numbers in `vars` are formatted for the active locale (Arabic-Indic digits in Arabic)
+ */
+export const LANGUAGES = {
+  en: { label: "English", dir: "ltr", messages: en },
+  ar: { label: "العربية", dir: "rtl", messages: ar },
+};
+
+export const DEFAULT_LANGUAGE = "en";
+export const LANGUAGE_KEY = "language";
+
+function browserLanguages() {
+  return navigator.languages?.length ? navigator.languages : [navigator.language || DEFAULT_LANGUAGE];
+}
+
+// Remembered choice first, then the browser's preferred languages
+export function initialLanguage() {
+  const remembered = readJSON(LANGUAGE_KEY);
+  if (LANGUAGES[remembered]) return remembered;
+
+  const match = browserLanguages()
+    .map((tag) => tag.split("-")[0].toLowerCase())
+    .find((code) => LANGUAGES[code]);
+  return match || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Locale for Intl formatting: keep the browser's region when it speaks the same
+ * language (ar-KW, en-GB), otherwise just the UI language.
+ */
+export function localeFor(lang) {
+  return browserLanguages().find((tag) => tag.split("-")[0].toLowerCase() === lang) || lang;
+}
+
+export function createTranslator(lang) {
+  const locale = localeFor(lang);
+  const messages = LANGUAGES[lang]?.messages || en;
+  const plurals = new Intl.PluralRules(locale);
+  const numbers = new Intl.NumberFormat(locale);
+
+  return function t(key, vars = {}) {
+    let message = messages[key] ?? en[key] ?? key;
+
+    if (typeof message === "object") {
+      const count = Number(vars.count ?? 0);
+      // Exact "zero"/"two" forms are only used where the language has them (Arabic)
+      message = message[plurals.select(count)] ?? message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+      const value = vars[name];
+      if (value === undefined || value === null) return match;
+      return typeof value === "number" ? numbers.format(value) : String(value);
+    });
+  };
+}
+
+export const I18nContext = createContext({
+  lang: DEFAULT_LANGUAGE,
+  dir: "ltr",
+  locale: DEFAULT_LANGUAGE,
+  t: createTranslator(DEFAULT_LANGUAGE),
+  setLang: () => {},
+});
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
@@ -0,0 +1,58 @@
+import { readJSON, removeKey, writeJSON } from "./storage";
+import { dateInZone } from "./time";
+
+/**
+ * Submitted applications, as the student's browser knows them.
+ *
+ * Every application gets a client-generated reference ("ME-20261019-7K3F") that is sent
+ * in the payload and shown on the confirmation step, so emails can be matched to submissions.
+ * The last submitted application is kept locally, so the confirmation survives a reload.
+ * For the rest of the browser session (this tab, in sessionStorage) it also locks its package,
+ * so it can't be submitted twice by going Back; a later visit can buy the same package again.
+ */
+const LAST_KEY = "lastApplication";
+const LOCK_KEY = "mastersEnglish:applicationLock";
+
+const REFERENCE_ALPHABET = "23456789ABCDEFGHJKLMNPQRSTUVWXYZ"; // no 0/O, 1/I: easy to read out on the phone
+
+// "<prefix>-YYYYMMDD-XXXX" with the issue date in the academy's calendar
+export function createReference(prefix, now, timeZone) {
+  const bytes = new Uint8Array(4);
+  window.crypto.getRandomValues(bytes);
+  const suffix = Array.from(bytes, (b) => REFERENCE_ALPHABET[b % REFERENCE_ALPHABET.length]).join("");
+  return `${prefix}-${dateInZone(now, timeZone).replace(/-/g, "")}-${suffix}`;
+}
+
+/**
+ * Shape: { reference, submittedAt, typeId, packageId, currency, totalPrice, discountedPrice,
+ *          promoCode, learners: [{ name, typeId, packageId, total }], groupDiscount, combinedTotal,
+ *          installments: [{ dueDate, amount }], installmentSurcharge,
+ *          referralCode, referralReward: null | { refereeLessons, referrerLessons },
+ *          gift: null | { recipientName, recipientEmail, message, deliveryDate },
+ *          slot, timeZone, fullName, email, phone, countryCode, handoff }
+ */
+export function loadLastApplication() {
+  const record = readJSON(LAST_KEY);
+  return record && typeof record === "object" && record.reference ? record : null;
+}
+
+export const saveLastApplication = (record) => writeJSON(LAST_KEY, record);
+export const clearLastApplication = () => removeKey(LAST_KEY);
+
+// Reference of the application submitted in this session (null = nothing locked)
+export function lockedReference() {
+  try {
+    return window.sessionStorage.getItem(LOCK_KEY);
+  } catch {
+    return null;
+  }
+}
+
+export function lockApplication(reference) {
+  try {
+    if (reference) window.sessionStorage.setItem(LOCK_KEY, reference);
+    else window.sessionStorage.removeItem(LOCK_KEY);
+  } catch {
+    // ignore storage failures: the lock then only lasts until a reload
+  }
+}
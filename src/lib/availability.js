@@ -0,0 +1,62 @@
+import { addDays, dateInZone, minutesOf, timeOf, weekdayOf, zonedTimeToUtc } from "./time";
+
+/**
+ * Teacher availability → bookable slots.
+ *
+ * The availability definition lives in the catalog (`availability`):
+ * {
+ *   timeZone: "Asia/Kuwait",                 // the academy's zone; weekly hours are in this zone
+ *   weeklyHours: { sun: [["16:00", "22:00"]], …, fri: [] },
+ *   blackoutDates: ["2026-12-31"],           // academy-local dates with no lessons
+ *   minNoticeHours: 24,                      // earliest bookable start = now + notice
+ *   bookingWindowDays: 14,                   // how far ahead students can book
+ *   slotStepMinutes: 30,                     // spacing between possible start times
+ *   durations: { main: 60, conv: 40, … }     // minutes per course type
+ * }
+ *
+ * A slot is offered only if the whole lesson fits inside one of the day's ranges.
+ */
+export const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+/**
+ * Bookable slots for a course type, grouped per academy-local day.
+ * Returns [{ date: "YYYY-MM-DD", slots: [{ start: ISO string (UTC), end: ISO string (UTC) }] }]
+ * (days without a free slot are left out).
+ */
+export function bookableSlots(availability, typeId, now = Date.now()) {
+  const { timeZone, weeklyHours, blackoutDates = [], minNoticeHours, bookingWindowDays, slotStepMinutes } =
+    availability;
+  const duration = availability.durations[typeId];
+  if (!duration) return [];
+
+  const earliest = now + minNoticeHours * 60 * 60 * 1000;
+  const blackout = new Set(blackoutDates);
+  const today = dateInZone(now, timeZone);
+  const days = [];
+
+  for (let i = 0; i <= bookingWindowDays; i++) {
+    const date = addDays(today, i);
+    if (blackout.has(date)) continue;
+
+    const slots = [];
+    (weeklyHours[WEEKDAYS[weekdayOf(date)]] || []).forEach(([from, to]) => {
+      for (let m = minutesOf(from); m + duration <= minutesOf(to); m += slotStepMinutes) {
+        const start = zonedTimeToUtc(date, timeOf(m), timeZone);
+        if (start < earliest) continue;
+        slots.push({
+          start: new Date(start).toISOString(),
+          end: new Date(start + duration * 60 * 1000).toISOString(),
+        });
+      }
+    });
+
+    if (slots.length) days.push({ date, slots });
+  }
+
+  return days;
+}
+
+// True when `start` (ISO) is one of the slots currently offered
+export function isBookable(days, start) {
+  return Boolean(start) && days.some((day) => day.slots.some((slot) => slot.start === start));
+}
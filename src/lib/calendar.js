@@ -0,0 +1,81 @@
+/**
+ * iCalendar (.ics) file for a requested session, generated in the browser.
+ *
+ * Times are written in UTC ("…Z"), so every calendar app shows the session
+ * in the student's own zone without us shipping VTIMEZONE definitions.
+ * The event is TENTATIVE: the academy still has to confirm the slot.
+ */
+const PRODUCT_ID = "-//Masters English//Application//EN";
+
+// "2026-10-20T18:00:00.000Z" → "20261020T180000Z"
+const icsTime = (ms) => new Date(ms).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// RFC 5545 text escaping
+const escapeText = (text) =>
+  String(text).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets are folded (continuation lines start with a space)
+function fold(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length ? 74 : 75;
+    if (encoder.encode(current + char).length > limit) {
+      parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/**
+ * Session length from a course type subtitle, taking the upper bound of a range so the
+ * event blocks the whole session: "50–60 minutes per lesson" → 60, "15–30 minutes" → 30,
+ * "45 min" → 45. null when the subtitle has no number.
+ */
+export function subtitleMinutes(subtitle) {
+  const match = String(subtitle ?? "").match(/(\d+)(?:\s*[–-]\s*(\d+))?/);
+  return match ? Number(match[2] ?? match[1]) : null;
+}
+
+/**
+ * { uid, start (ISO, UTC), durationMinutes, title, description, now? } → .ics text
+ */
+export function buildIcs({ uid, start, durationMinutes, title, description, now = Date.now() }) {
+  const startMs = Date.parse(start);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    `UID:${uid}@mastersenglish`,
+    `DTSTAMP:${icsTime(now)}`,
+    `DTSTART:${icsTime(startMs)}`,
+    `DTEND:${icsTime(startMs + durationMinutes * 60_000)}`,
+    `SUMMARY:${escapeText(title)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    "STATUS:TENTATIVE",
+    "TRANSP:OPAQUE",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ];
+  return `${lines.map(fold).join("\r\n")}\r\n`;
+}
+
+// Saves `text` as a file through a temporary link (no server round trip)
+export function downloadFile(filename, text, type = "text/calendar;charset=utf-8") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
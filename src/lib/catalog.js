@@ -0,0 +1,476 @@
+import { useCallback, useEffect, useState } from "react";
+import bundledCatalog from "../catalog/catalog.json";
+import { WEEKDAYS } from "./availability";
+import { isSupportedCurrency, roundToMinor } from "./currency";
+import { isValidTimeZone, minutesOf } from "./time";
+
+/**
+ * Course catalog (course types, packages, prices).
+ *
+ * The catalog is a versioned JSON document fetched at startup, so a price change
+ * is a JSON edit instead of a code change:
+ * - the source is src/catalog/catalog.json: it is bundled with the app, and published as
+ *   /catalog.json by the build (see vite.config.js), so a deployed price change is an edit of that file
+ * - default location: /catalog.json, or VITE_CATALOG_URL
+ * - if it can't be fetched (or the response isn't JSON, e.g. an SPA host's index.html), the bundled copy is used
+ * - either way it is validated; an invalid catalog shows an error screen instead of a broken page
+ *
+ * Schema (schemaVersion 1):
+ * {
+ *   schemaVersion: 1,
+ *   version: "2026-10-19",                       // free-form, shown in errors / sent with applications
+ *   currencies: { [code]: { label, enabled } },  // key order = currency picker order
+ *   courseTypes: [{ id, slug, title, subtitle, description }],
+ *   packages: { [courseTypeId]: [{ id, title, lessons, price: { [code]: number },
+ *                                   installments?: [{ id, payments, surchargePercent? }] }] },  // see lib/installments
+ *   availability: { timeZone, weeklyHours, blackoutDates, … },   // see lib/availability
+ *   promotions?: [{ code, label, type, percent | amount, … }],    // see lib/promotions
+ *   groupDiscounts?: [{ id, label, minLearners, percent }],       // see lib/group
+ *   referralReward?: { id, label, refereeLessons, referrerLessons, minLessons? },  // see lib/referral
+ *   translations?: { [lang]: {                 // optional, English texts above are the fallback
+ *     courseTypes?: { [id]: { title?, subtitle?, description? } },
+ *     packages?: { [id]: { title? } }
+ *   } }
+ * }
+ *
+ * Rules on top of the shape:
+ * - every course type has at least one package (and packages only exist for known types)
+ * - every package has a price for every enabled currency, in that currency's minor units
+ * - lesson counts are positive integers, prices are non-negative numbers
+ * - installment plans only exist on paid packages, with unique ids and 2–12 payments
+ * - course type IDs/slugs and package IDs are unique ("custom-…" package ids are reserved, see lib/customPackage)
+ * - availability uses a real time zone, valid "HH:MM" ranges and a duration for every course type
+ * - promo codes are unique and only point at known course types / enabled currencies
+ * - group discounts have unique ids and learner counts, starting at 2 learners
+ * - the referral reward gives at least one free lesson to someone
+ */
+export const SUPPORTED_SCHEMA_VERSION = 1;
+
+const CATALOG_URL = import.meta.env.VITE_CATALOG_URL || `${import.meta.env.BASE_URL}catalog.json`;
+
+export class CatalogError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = "CatalogError";
+    this.issues = issues;
+  }
+}
+
+// Catalog texts that can be translated
+const TYPE_TEXT_FIELDS = ["title", "subtitle", "description"];
+const PACKAGE_TEXT_FIELDS = ["title"];
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isText = (v) => typeof v === "string" && v.trim() !== "";
+
+/**
+ * Returns a list of human-readable problems ("packages.main[2].price.KWD: …").
+ * An empty list means the catalog is valid.
+ */
+export function validateCatalog(doc) {
+  const issues = [];
+  const fail = (path, message) => issues.push(`${path}: ${message}`);
+
+  if (!isObject(doc)) return ["catalog: expected a JSON object"];
+
+  if (doc.schemaVersion !== SUPPORTED_SCHEMA_VERSION) {
+    fail("schemaVersion", `expected ${SUPPORTED_SCHEMA_VERSION}, got ${JSON.stringify(doc.schemaVersion)}`);
+  }
+  if (!isText(doc.version)) fail("version", "expected a non-empty string");
+
+  // Currencies
+  const enabledCurrencies = [];
+  if (!isObject(doc.currencies)) {
+    fail("currencies", "expected an object keyed by currency code");
+  } else {
+    Object.entries(doc.currencies).forEach(([code, cur]) => {
+      const path = `currencies.${code}`;
+      if (!isSupportedCurrency(code)) {
+        fail(path, "not a known ISO 4217 currency code (3 upper-case letters, e.g. KWD)");
+      }
+      if (!isObject(cur)) return fail(path, "expected an object");
+      if (!isText(cur.label)) fail(`${path}.label`, "expected a non-empty string");
+      if (typeof cur.enabled !== "boolean") fail(`${path}.enabled`, "expected true or false");
+      if (cur.enabled) enabledCurrencies.push(code);
+    });
+    if (!enabledCurrencies.length) fail("currencies", "at least one currency must be enabled");
+  }
+
+  // Course types
+  const typeIds = new Set();
+  const slugs = new Set();
+  if (!Array.isArray(doc.courseTypes) || !doc.courseTypes.length) {
+    fail("courseTypes", "expected a non-empty array");
+  } else {
+    doc.courseTypes.forEach((t, i) => {
+      const path = `courseTypes[${i}]`;
+      if (!isObject(t)) return fail(path, "expected an object");
+      ["id", "slug", "title", "subtitle", "description"].forEach((key) => {
+        if (!isText(t[key])) fail(`${path}.${key}`, "expected a non-empty string");
+      });
+      if (isText(t.slug) && !/^[a-z0-9-]+$/.test(t.slug)) fail(`${path}.slug`, "use lower-case letters, digits and dashes");
+      if (typeIds.has(t.id)) fail(`${path}.id`, `duplicate course type id "${t.id}"`);
+      if (slugs.has(t.slug)) fail(`${path}.slug`, `duplicate slug "${t.slug}"`);
+      typeIds.add(t.id);
+      slugs.add(t.slug);
+    });
+  }
+
+  // Packages
+  const packageIds = new Set();
+  if (!isObject(doc.packages)) {
+    fail("packages", "expected an object keyed by course type id");
+  } else {
+    Object.keys(doc.packages).forEach((typeId) => {
+      if (!typeIds.has(typeId)) fail(`packages.${typeId}`, "no course type with this id");
+    });
+
+    typeIds.forEach((typeId) => {
+      const list = doc.packages[typeId];
+      if (!Array.isArray(list) || !list.length) return fail(`packages.${typeId}`, "every course type needs at least one package");
+
+      list.forEach((p, i) => {
+        const path = `packages.${typeId}[${i}]`;
+        if (!isObject(p)) return fail(path, "expected an object");
+        if (!isText(p.id)) fail(`${path}.id`, "expected a non-empty string");
+        else if (packageIds.has(p.id)) fail(`${path}.id`, `duplicate package id "${p.id}"`);
+        else if (p.id.startsWith("custom-")) fail(`${path}.id`, '"custom-…" ids are reserved for built packages');
+        packageIds.add(p.id);
+
+        if (!isText(p.title)) fail(`${path}.title`, "expected a non-empty string");
+        if (!Number.isInteger(p.lessons) || p.lessons <= 0) fail(`${path}.lessons`, "expected a positive whole number");
+
+        if (!isObject(p.price)) return fail(`${path}.price`, "expected an object keyed by currency code");
+        enabledCurrencies.forEach((code) => {
+          const amount = p.price[code];
+          if (amount === undefined) fail(`${path}.price.${code}`, "missing price for an enabled currency");
+          else if (typeof amount !== "number" || !Number.isFinite(amount) || amount < 0) {
+            fail(`${path}.price.${code}`, "expected a non-negative number");
+          } else if (roundToMinor(amount, code) !== amount) {
+            fail(`${path}.price.${code}`, `too many decimals for ${code}`);
+          }
+        });
+
+        if (p.installments !== undefined) {
+          if (!Array.isArray(p.installments)) return fail(`${path}.installments`, "expected a list of plans");
+          if (enabledCurrencies.some((code) => p.price[code] === 0)) {
+            fail(`${path}.installments`, "free packages can't be paid in installments");
+          }
+          const planIds = new Set();
+          p.installments.forEach((plan, j) => {
+            const planPath = `${path}.installments[${j}]`;
+            if (!isObject(plan)) return fail(planPath, "expected an object");
+            if (!isText(plan.id)) fail(`${planPath}.id`, "expected a non-empty string");
+            else if (planIds.has(plan.id)) fail(`${planPath}.id`, `duplicate plan id "${plan.id}"`);
+            planIds.add(plan.id);
+            if (!Number.isInteger(plan.payments) || plan.payments < 2 || plan.payments > 12) {
+              fail(`${planPath}.payments`, "expected a whole number from 2 to 12");
+            }
+            if (
+              plan.surchargePercent !== undefined &&
+              (!Number.isFinite(plan.surchargePercent) || plan.surchargePercent < 0 || plan.surchargePercent > 100)
+            ) {
+              fail(`${planPath}.surchargePercent`, "expected a number between 0 and 100");
+            }
+          });
+        }
+      });
+    });
+  }
+
+  // Availability (slot picker)
+  const av = doc.availability;
+  if (!isObject(av)) {
+    fail("availability", "expected an object");
+  } else {
+    if (!isText(av.timeZone) || !isValidTimeZone(av.timeZone)) fail("availability.timeZone", "expected an IANA time zone");
+
+    if (!isObject(av.weeklyHours)) {
+      fail("availability.weeklyHours", "expected an object keyed by weekday (sun … sat)");
+    } else {
+      Object.entries(av.weeklyHours).forEach(([day, ranges]) => {
+        const path = `availability.weeklyHours.${day}`;
+        if (!WEEKDAYS.includes(day)) return fail(path, "unknown weekday");
+        if (!Array.isArray(ranges)) return fail(path, "expected a list of [from, to] ranges");
+        ranges.forEach((range, i) => {
+          const ok = Array.isArray(range) && range.length === 2 && range.every((v) => TIME_RE.test(v));
+          if (!ok) fail(`${path}[${i}]`, 'expected ["HH:MM", "HH:MM"]');
+          else if (minutesOf(range[0]) >= minutesOf(range[1])) fail(`${path}[${i}]`, "start must be before end");
+        });
+      });
+    }
+
+    if (!Array.isArray(av.blackoutDates) || !av.blackoutDates.every((d) => DATE_RE.test(d))) {
+      fail("availability.blackoutDates", 'expected a list of "YYYY-MM-DD" dates');
+    }
+    if (!Number.isFinite(av.minNoticeHours) || av.minNoticeHours < 0) {
+      fail("availability.minNoticeHours", "expected a non-negative number");
+    }
+    ["bookingWindowDays", "slotStepMinutes"].forEach((key) => {
+      if (!Number.isInteger(av[key]) || av[key] <= 0) fail(`availability.${key}`, "expected a positive whole number");
+    });
+
+    if (!isObject(av.durations)) {
+      fail("availability.durations", "expected an object keyed by course type id");
+    } else {
+      typeIds.forEach((typeId) => {
+        const minutes = av.durations[typeId];
+        if (!Number.isInteger(minutes) || minutes <= 0) {
+          fail(`availability.durations.${typeId}`, "expected a lesson duration in minutes");
+        }
+      });
+    }
+  }
+
+  // Promotions (optional)
+  if (doc.promotions !== undefined) {
+    const codes = new Set();
+    if (!Array.isArray(doc.promotions)) {
+      fail("promotions", "expected a list of promo rules");
+    } else {
+      doc.promotions.forEach((rule, i) => {
+        const path = `promotions[${i}]`;
+        if (!isObject(rule)) return fail(path, "expected an object");
+
+        if (!isText(rule.code) || !/^[A-Za-z0-9-]+$/.test(rule.code)) {
+          fail(`${path}.code`, "use letters, digits and dashes");
+        } else if (codes.has(rule.code.toUpperCase())) {
+          fail(`${path}.code`, `duplicate promo code "${rule.code}"`);
+        } else {
+          codes.add(rule.code.toUpperCase());
+        }
+        if (!isText(rule.label)) fail(`${path}.label`, "expected a non-empty string");
+
+        if (rule.type === "percent") {
+          if (!Number.isFinite(rule.percent) || rule.percent <= 0 || rule.percent > 100) {
+            fail(`${path}.percent`, "expected a number between 0 and 100");
+          }
+        } else if (rule.type === "fixed") {
+          if (!isObject(rule.amount) || !Object.keys(rule.amount).length) {
+            fail(`${path}.amount`, "expected an object keyed by currency code");
+          } else {
+            Object.entries(rule.amount).forEach(([code, amount]) => {
+              if (!enabledCurrencies.includes(code)) fail(`${path}.amount.${code}`, "not an enabled currency");
+              else if (!Number.isFinite(amount) || amount <= 0) fail(`${path}.amount.${code}`, "expected a positive number");
+              else if (roundToMinor(amount, code) !== amount) fail(`${path}.amount.${code}`, `too many decimals for ${code}`);
+            });
+          }
+        } else {
+          fail(`${path}.type`, 'expected "percent" or "fixed"');
+        }
+
+        const limits = {
+          currencies: (v) => enabledCurrencies.includes(v),
+          courseTypes: (v) => typeIds.has(v),
+          lessons: (v) => Number.isInteger(v) && v > 0,
+        };
+        Object.entries(limits).forEach(([key, isKnown]) => {
+          if (rule[key] === undefined) return;
+          if (!Array.isArray(rule[key]) || !rule[key].length) return fail(`${path}.${key}`, "expected a non-empty list");
+          rule[key].forEach((v, j) => {
+            if (!isKnown(v)) fail(`${path}.${key}[${j}]`, `unknown value ${JSON.stringify(v)}`);
+          });
+        });
+
+        ["startsOn", "endsOn"].forEach((key) => {
+          if (rule[key] !== undefined && !DATE_RE.test(rule[key])) fail(`${path}.${key}`, 'expected "YYYY-MM-DD"');
+        });
+        if (rule.startsOn && rule.endsOn && rule.startsOn > rule.endsOn) fail(`${path}.endsOn`, "ends before it starts");
+      });
+    }
+  }
+
+  // Group / family discounts (optional)
+  if (doc.groupDiscounts !== undefined) {
+    const ids = new Set();
+    const counts = new Set();
+    if (!Array.isArray(doc.groupDiscounts)) {
+      fail("groupDiscounts", "expected a list of discount rules");
+    } else {
+      doc.groupDiscounts.forEach((rule, i) => {
+        const path = `groupDiscounts[${i}]`;
+        if (!isObject(rule)) return fail(path, "expected an object");
+
+        if (!isText(rule.id)) fail(`${path}.id`, "expected a non-empty string");
+        else if (ids.has(rule.id)) fail(`${path}.id`, `duplicate group discount id "${rule.id}"`);
+        ids.add(rule.id);
+
+        if (!isText(rule.label)) fail(`${path}.label`, "expected a non-empty string");
+
+        if (!Number.isInteger(rule.minLearners) || rule.minLearners < 2) {
+          fail(`${path}.minLearners`, "expected a whole number, at least 2");
+        } else if (counts.has(rule.minLearners)) {
+          fail(`${path}.minLearners`, `another rule already starts at ${rule.minLearners} learners`);
+        }
+        counts.add(rule.minLearners);
+
+        if (!Number.isFinite(rule.percent) || rule.percent <= 0 || rule.percent > 100) {
+          fail(`${path}.percent`, "expected a number between 0 and 100");
+        }
+      });
+    }
+  }
+
+  // Referral reward (optional)
+  if (doc.referralReward !== undefined) {
+    const rule = doc.referralReward;
+    if (!isObject(rule)) {
+      fail("referralReward", "expected an object");
+    } else {
+      if (!isText(rule.id)) fail("referralReward.id", "expected a non-empty string");
+      if (!isText(rule.label)) fail("referralReward.label", "expected a non-empty string");
+
+      const sides = ["refereeLessons", "referrerLessons"];
+      sides.forEach((side) => {
+        if (!Number.isInteger(rule[side]) || rule[side] < 0) {
+          fail(`referralReward.${side}`, "expected a whole number, 0 or more");
+        }
+      });
+      if (sides.every((side) => rule[side] === 0)) fail("referralReward", "rewards nobody (both lesson counts are 0)");
+
+      if (rule.minLessons !== undefined && (!Number.isInteger(rule.minLessons) || rule.minLessons <= 0)) {
+        fail("referralReward.minLessons", "expected a positive whole number");
+      }
+    }
+  }
+
+  // Translations (optional)
+  if (doc.translations !== undefined) {
+    if (!isObject(doc.translations)) {
+      fail("translations", "expected an object keyed by language code");
+    } else {
+      Object.entries(doc.translations).forEach(([lang, tr]) => {
+        const path = `translations.${lang}`;
+        if (!isObject(tr)) return fail(path, "expected an object");
+
+        const sections = { courseTypes: [typeIds, TYPE_TEXT_FIELDS], packages: [packageIds, PACKAGE_TEXT_FIELDS] };
+        Object.entries(sections).forEach(([section, [knownIds, fields]]) => {
+          if (tr[section] === undefined) return;
+          if (!isObject(tr[section])) return fail(`${path}.${section}`, "expected an object keyed by id");
+
+          Object.entries(tr[section]).forEach(([id, texts]) => {
+            const itemPath = `${path}.${section}.${id}`;
+            if (!knownIds.has(id)) fail(itemPath, "no item with this id");
+            if (!isObject(texts)) return fail(itemPath, "expected an object");
+            Object.entries(texts).forEach(([field, text]) => {
+              if (!fields.includes(field)) fail(`${itemPath}.${field}`, "not a translatable field");
+              else if (!isText(text)) fail(`${itemPath}.${field}`, "expected a non-empty string");
+            });
+          });
+        });
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Shape the app works with:
+ * { version, source, currencies (enabled only), courseTypes, packages, availability, promotions, groupDiscounts,
+ *   referralReward (null when there is none), translations }
+ */
+function normalizeCatalog(doc, source) {
+  const currencies = Object.fromEntries(Object.entries(doc.currencies).filter(([, cur]) => cur.enabled));
+  return {
+    version: doc.version,
+    source,
+    currencies,
+    courseTypes: doc.courseTypes,
+    packages: doc.packages,
+    availability: doc.availability,
+    promotions: doc.promotions || [],
+    groupDiscounts: doc.groupDiscounts || [],
+    referralReward: doc.referralReward || null,
+    translations: doc.translations || {},
+  };
+}
+
+/**
+ * Course types and packages with their texts in `lang` (English where a translation is missing).
+ * IDs, prices and lesson counts are untouched, so the result is a drop-in for the display.
+ */
+export function localizeCatalog(catalog, lang) {
+  const tr = catalog.translations[lang];
+  if (!tr) return { courseTypes: catalog.courseTypes, packages: catalog.packages };
+
+  return {
+    courseTypes: catalog.courseTypes.map((t) => ({ ...t, ...tr.courseTypes?.[t.id] })),
+    packages: Object.fromEntries(
+      Object.entries(catalog.packages).map(([typeId, list]) => [
+        typeId,
+        list.map((p) => ({ ...p, ...tr.packages?.[p.id] })),
+      ])
+    ),
+  };
+}
+
+/**
+ * Fetches, validates and normalizes the catalog.
+ * Network/HTTP failures and unreadable responses fall back to the bundled copy;
+ * documents that parse but are invalid throw CatalogError.
+ */
+export async function loadCatalog({ signal } = {}) {
+  let doc = bundledCatalog;
+  let source = "bundled";
+
+  let res = null;
+  try {
+    res = await fetch(CATALOG_URL, { cache: "no-cache", signal });
+  } catch (err) {
+    if (err?.name === "AbortError") throw err;
+    console.warn("[catalog] Could not fetch the catalog, using the bundled copy.", err);
+  }
+
+  if (res?.ok) {
+    try {
+      doc = await res.json();
+      source = "remote";
+    } catch (err) {
+      if (err?.name === "AbortError") throw err;
+      console.warn(`[catalog] ${CATALOG_URL} did not answer with JSON, using the bundled copy.`, err);
+    }
+  } else if (res) {
+    console.warn(`[catalog] ${CATALOG_URL} answered ${res.status}, using the bundled copy.`);
+  }
+
+  const issues = validateCatalog(doc);
+  if (issues.length) {
+    throw new CatalogError(`The ${source} course catalog (version ${doc?.version ?? "unknown"}) is invalid.`, issues);
+  }
+
+  return normalizeCatalog(doc, source);
+}
+
+/**
+ * React binding:
+ * { status: "loading" | "ready" | "error", catalog, error, retry }
+ */
+export function useCatalog() {
+  const [state, setState] = useState({ status: "loading", catalog: null, error: null });
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    loadCatalog({ signal: controller.signal }).then(
+      (catalog) => setState({ status: "ready", catalog, error: null }),
+      (error) => {
+        if (error?.name === "AbortError") return;
+        setState({ status: "error", catalog: null, error });
+      }
+    );
+
+    return () => controller.abort();
+  }, [attempt]);
+
+  const retry = useCallback(() => {
+    setState({ status: "loading", catalog: null, error: null });
+    setAttempt((n) => n + 1);
+  }, []);
+
+  return { ...state, retry };
+}
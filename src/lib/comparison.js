@@ -0,0 +1,40 @@
+import { perLessonPrice, roundToMinor } from "./currency";
+
+/**
+ * Package comparison for one course type, in one currency.
+ *
+ * Savings are measured against buying the same number of single lessons
+ * (the 1-lesson package; if a course type has none, its smallest package's per-lesson price).
+ * "Best value" is the paid package with the lowest per-lesson price, and only
+ * when it actually saves something.
+ *
+ * Returns [{ pkg, total, perLesson, savings, savingsPercent, bestValue }]
+ * with savingsPercent as a fraction (0.27 = 27 %).
+ */
+export function comparePackages(list, currency) {
+  if (!list.length) return [];
+
+  const base = list.find((p) => p.lessons === 1) || [...list].sort((a, b) => a.lessons - b.lessons)[0];
+  const baseRate = base.price[currency] / base.lessons;
+
+  const rows = list.map((pkg) => {
+    const total = pkg.price[currency];
+    const listPrice = baseRate * pkg.lessons;
+    const savings = total > 0 && listPrice > total ? roundToMinor(listPrice - total, currency) : 0;
+    return {
+      pkg,
+      total,
+      perLesson: perLessonPrice(total, pkg.lessons, currency),
+      savings,
+      savingsPercent: savings ? savings / listPrice : 0,
+      bestValue: false,
+    };
+  });
+
+  const best = rows
+    .filter((row) => row.savings > 0)
+    .reduce((a, b) => (!a || b.perLesson < a.perLesson ? b : a), null);
+  if (best) best.bestValue = true;
+
+  return rows;
+}
@@ -0,0 +1,57 @@
+import { hasKey, readJSON, removeKey, savedAt, writeJSON } from "./storage";
+
+/**
+ * Privacy consent for the application form.
+ *
+ * - The privacy notice is versioned: a consent only counts for the version it was given for,
+ *   so publishing a new notice means bumping PRIVACY_NOTICE_VERSION (and the notice page).
+ * - Form values: `privacyConsent` / `marketingOptIn` are null or { version?, at } (ISO time).
+ * - Application data kept in this browser (draft, outbox, quiz answers, spam-guard log, referral code)
+ *   is purged when the applicant withdraws consent, and automatically RETENTION_MS after it was last saved.
+ *   Preferences (language, currency) are not application data and are kept.
+ */
+export const PRIVACY_NOTICE_VERSION = "2026-10-19";
+
+export const PRIVACY_NOTICE_URL =
+  import.meta.env.VITE_PRIVACY_NOTICE_URL || `${import.meta.env.BASE_URL}privacy.html`;
+
+export const RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+const APPLICATION_DATA_KEYS = [
+  "applicationDraft",
+  "lastApplication",
+  "submissionQueue",
+  "submissionSent",
+  "submissionLog",
+  "quiz",
+  "referral",
+];
+
+export const giveConsent = (now = Date.now()) => ({
+  version: PRIVACY_NOTICE_VERSION,
+  at: new Date(now).toISOString(),
+});
+
+export const hasValidConsent = (consent) => consent?.version === PRIVACY_NOTICE_VERSION;
+
+// A consent restored from a draft only survives if the notice hasn't changed since
+export const withCurrentConsent = (formData) =>
+  hasValidConsent(formData.privacyConsent) ? formData : { ...formData, privacyConsent: null };
+
+export function purgeApplicationData() {
+  APPLICATION_DATA_KEYS.forEach(removeKey);
+}
+
+/**
+ * Drops application data saved longer than RETENTION_MS ago.
+ * Run once at startup, before anything reads the stored data.
+ */
+export function enforceRetention(now = Date.now()) {
+  APPLICATION_DATA_KEYS.forEach((key) => {
+    if (!hasKey(key)) return;
+    const at = savedAt(key);
+    // Saved before timestamps existed: start the clock now
+    if (at === null) writeJSON(key, readJSON(key));
+    else if (now - at > RETENTION_MS) removeKey(key);
+  });
+}
@@ -0,0 +1,82 @@
+/**
+ * Countries for the residence picker and the phone dial-code picker.
+ * Names come from Intl.DisplayNames, so they follow the UI language for free.
+ * Dial codes are ITU country calling codes without the "+".
+ */
+const COUNTRY_DIAL_CODES = {
+  AD: "376", AE: "971", AF: "93", AG: "1", AL: "355", AM: "374", AO: "244", AR: "54", AT: "43", AU: "61",
+  AZ: "994", BA: "387", BB: "1", BD: "880", BE: "32", BF: "226", BG: "359", BH: "973", BI: "257", BJ: "229",
+  BN: "673", BO: "591", BR: "55", BS: "1", BT: "975", BW: "267", BY: "375", BZ: "501", CA: "1", CD: "243",
+  CF: "236", CG: "242", CH: "41", CI: "225", CL: "56", CM: "237", CN: "86", CO: "57", CR: "506", CU: "53",
+  CV: "238", CY: "357", CZ: "420", DE: "49", DJ: "253", DK: "45", DM: "1", DO: "1", DZ: "213", EC: "593",
+  EE: "372", EG: "20", ER: "291", ES: "34", ET: "251", FI: "358", FJ: "679", FR: "33", GA: "241", GB: "44",
+  GD: "1", GE: "995", GH: "233", GM: "220", GN: "224", GQ: "240", GR: "30", GT: "502", GW: "245", GY: "592",
+  HK: "852", HN: "504", HR: "385", HT: "509", HU: "36", ID: "62", IE: "353", IL: "972", IN: "91", IQ: "964",
+  IR: "98", IS: "354", IT: "39", JM: "1", JO: "962", JP: "81", KE: "254", KG: "996", KH: "855", KM: "269",
+  KN: "1", KR: "82", KW: "965", KZ: "7", LA: "856", LB: "961", LC: "1", LI: "423", LK: "94", LR: "231",
+  LS: "266", LT: "370", LU: "352", LV: "371", LY: "218", MA: "212", MC: "377", MD: "373", ME: "382", MG: "261",
+  MK: "389", ML: "223", MM: "95", MN: "976", MO: "853", MR: "222", MT: "356", MU: "230", MV: "960", MW: "265",
+  MX: "52", MY: "60", MZ: "258", NA: "264", NE: "227", NG: "234", NI: "505", NL: "31", NO: "47", NP: "977",
+  NZ: "64", OM: "968", PA: "507", PE: "51", PG: "675", PH: "63", PK: "92", PL: "48", PS: "970", PT: "351",
+  PY: "595", QA: "974", RO: "40", RS: "381", RU: "7", RW: "250", SA: "966", SC: "248", SD: "249", SE: "46",
+  SG: "65", SI: "386", SK: "421", SL: "232", SM: "378", SN: "221", SO: "252", SR: "597", SS: "211", SV: "503",
+  SY: "963", SZ: "268", TD: "235", TG: "228", TH: "66", TJ: "992", TM: "993", TN: "216", TR: "90", TT: "1",
+  TW: "886", TZ: "255", UA: "380", UG: "256", US: "1", UY: "598", UZ: "998", VC: "1", VE: "58", VN: "84",
+  YE: "967", ZA: "27", ZM: "260", ZW: "263",
+};
+
+export const COUNTRY_CODES = Object.keys(COUNTRY_DIAL_CODES);
+
+export function isCountryCode(code) {
+  return Object.hasOwn(COUNTRY_DIAL_CODES, code);
+}
+
+export function dialCodeOf(code) {
+  return COUNTRY_DIAL_CODES[code] || "";
+}
+
+const namesCache = new Map();
+
+// Localized country name ("Kuwait" / "الكويت"); falls back to the code
+export function countryName(code, locale = "en") {
+  if (!namesCache.has(locale)) {
+    try {
+      namesCache.set(locale, new Intl.DisplayNames([locale], { type: "region" }));
+    } catch {
+      namesCache.set(locale, null);
+    }
+  }
+  return namesCache.get(locale)?.of(code) || code;
+}
+
+// 🇰🇼 from "KW" (regional indicator symbols)
+export function flagOf(code) {
+  return String.fromCodePoint(...[...code].map((c) => 0x1f1e6 + c.charCodeAt(0) - 65));
+}
+
+const fold = (s) =>
+  s
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase();
+
+/**
+ * Countries sorted by localized name, filtered by a search string.
+ * Matches the localized name, the English name, the ISO code or the dial code ("+965", "965").
+ */
+export function searchCountries(query, locale) {
+  const q = fold(query.trim()).replace(/^\+/, "");
+  const collator = new Intl.Collator(locale);
+
+  return COUNTRY_CODES.map((code) => ({ code, name: countryName(code, locale), dial: dialCodeOf(code) }))
+    .filter(({ code, name, dial }) => {
+      if (!q) return true;
+      return (
+        fold(name).includes(q) ||
+        fold(countryName(code, "en")).includes(q) ||
+        code.toLowerCase() === q ||
+        dial.startsWith(q)
+      );
+    })
+    .sort((a, b) => collator.compare(a.name, b.name));
+}
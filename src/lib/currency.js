@@ -0,0 +1,73 @@
+/**
+ * Currency engine.
+ * Formatting goes through Intl.NumberFormat, so symbols, separators and
+ * minor units (KWD has 3 decimals, USD 2, …) are always right for the locale.
+ */
+
+// Locale used when the caller doesn't pass one (the browser's preference)
+export const defaultLocale = () =>
+  (typeof navigator !== "undefined" && (navigator.languages?.[0] || navigator.language)) || "en";
+
+const formatterCache = new Map();
+
+function formatter(code, locale, fractionDigits) {
+  const key = `${locale}|${code}|${fractionDigits}`;
+  if (!formatterCache.has(key)) {
+    formatterCache.set(
+      key,
+      new Intl.NumberFormat(locale, {
+        style: "currency",
+        currency: code,
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits,
+      })
+    );
+  }
+  return formatterCache.get(key);
+}
+
+// ISO 4217 minor units, as known by Intl (KWD → 3, USD → 2, JPY → 0)
+export function minorUnits(code) {
+  return new Intl.NumberFormat("en", { style: "currency", currency: code }).resolvedOptions()
+    .maximumFractionDigits;
+}
+
+export function roundToMinor(amount, code) {
+  const factor = 10 ** minorUnits(code);
+  return Math.round(amount * factor) / factor;
+}
+
+/**
+ * Formats an amount in the given currency.
+ * Whole amounts drop the decimals ($140, not $140.00); anything else shows
+ * the currency's full minor units (KWD 3.375, $13.50).
+ */
+export function formatMoney(amount, code, locale = defaultLocale()) {
+  const rounded = roundToMinor(amount, code);
+  const digits = Number.isInteger(rounded) ? 0 : minorUnits(code);
+  return formatter(code, locale, digits).format(rounded);
+}
+
+// Per-lesson price, rounded to the currency's minor units
+export function perLessonPrice(total, lessons, code) {
+  return roundToMinor(total / lessons, code);
+}
+
+// Human name for the picker's tooltip ("Kuwaiti Dinar"); falls back to the code
+export function currencyName(code, locale = defaultLocale()) {
+  try {
+    return new Intl.DisplayNames([locale], { type: "currency" }).of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
+/**
+ * True for an ISO 4217 code this browser's Intl knows ("KWD"; not "XYZ").
+ * Intl.NumberFormat formats any well-formed code, so only the list of supported values can tell;
+ * browsers without that list get the shape check alone.
+ */
+export function isSupportedCurrency(code) {
+  if (!/^[A-Z]{3}$/.test(code)) return false;
+  return typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("currency").includes(code) : true;
+}
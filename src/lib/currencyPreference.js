@@ -0,0 +1,108 @@
+import { readJSON, writeJSON } from "./storage";
+
+/**
+ * Which currency a visitor starts on.
+ *
+ * Precedence:
+ * 1) `?currency=` in the URL (a shared link) — handled by the router
+ * 2) a currency the visitor picked manually before (remembered across visits)
+ * 3) a guess from the browser's time zone, then its locale region (Asia/Kuwait → KWD)
+ * 4) the first currency in the catalog
+ *
+ * `source` ("chosen" | "detected" | "default") is sent with the application
+ * so we can see how often people switch away from the detected currency.
+ */
+const KEY = "currencyChoice";
+
+// Time zones whose country uses one of our currencies
+const TIME_ZONE_CURRENCY = {
+  "Asia/Kuwait": "KWD",
+  "Asia/Riyadh": "SAR",
+  "Asia/Dubai": "AED",
+  "Europe/London": "GBP",
+  "Europe/Belfast": "GBP",
+  "Europe/Guernsey": "GBP",
+  "Europe/Isle_of_Man": "GBP",
+  "Europe/Jersey": "GBP",
+  "Asia/Nicosia": "EUR",
+  "Asia/Famagusta": "EUR",
+  "Atlantic/Madeira": "EUR",
+  "Atlantic/Azores": "EUR",
+  "Atlantic/Canary": "EUR",
+};
+
+// Euro area time zones (Europe/…)
+const EURO_CITIES = [
+  "Amsterdam", "Andorra", "Athens", "Berlin", "Bratislava", "Brussels", "Dublin",
+  "Helsinki", "Lisbon", "Ljubljana", "Luxembourg", "Madrid", "Malta", "Mariehamn", "Monaco",
+  "Paris", "Podgorica", "Riga", "Rome", "San_Marino", "Tallinn", "Vatican", "Vienna",
+  "Vilnius", "Zagreb",
+];
+EURO_CITIES.forEach((city) => {
+  TIME_ZONE_CURRENCY[`Europe/${city}`] = "EUR";
+});
+
+// Locale regions (the "KW" in "ar-KW")
+const REGION_CURRENCY = { KW: "KWD", SA: "SAR", AE: "AED", GB: "GBP", US: "USD" };
+
+const EURO_REGIONS = [
+  "AT", "BE", "CY", "DE", "EE", "ES", "FI", "FR", "GR", "HR",
+  "IE", "IT", "LT", "LU", "LV", "MT", "NL", "PT", "SI", "SK",
+];
+EURO_REGIONS.forEach((region) => {
+  REGION_CURRENCY[region] = "EUR";
+});
+
+function browserTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || "";
+  } catch {
+    return "";
+  }
+}
+
+function browserRegions() {
+  const tags = navigator.languages?.length ? navigator.languages : [navigator.language];
+  return tags.flatMap((tag) => {
+    try {
+      const region = new Intl.Locale(tag).region;
+      return region ? [region] : [];
+    } catch {
+      return [];
+    }
+  });
+}
+
+/**
+ * Best guess for this browser, limited to the currencies we offer.
+ * Time zone wins over locale (an English UI in Kuwait is still Kuwait).
+ */
+export function detectCurrency(available) {
+  const fromZone = TIME_ZONE_CURRENCY[browserTimeZone()];
+  if (fromZone && available[fromZone]) return fromZone;
+
+  for (const region of browserRegions()) {
+    const code = REGION_CURRENCY[region];
+    if (code && available[code]) return code;
+  }
+
+  return null;
+}
+
+export function rememberCurrency(code) {
+  writeJSON(KEY, { code, chosenAt: Date.now() });
+}
+
+/**
+ * Starting currency when the URL doesn't name one.
+ * Returns { code, source: "chosen" | "detected" | "default" }.
+ */
+export function initialCurrency(available) {
+  const remembered = readJSON(KEY)?.code;
+  if (remembered && available[remembered]) return { code: remembered, source: "chosen" };
+
+  const detected = detectCurrency(available);
+  if (detected) return { code: detected, source: "detected" };
+
+  return { code: Object.keys(available)[0], source: "default" };
+}
@@ -0,0 +1,93 @@
+import { perLessonPrice, roundToMinor } from "./currency";
+
+/**
+ * Build-your-own packages: any lesson count up to the biggest catalog package (15, 30, …).
+ *
+ * There is no separate price list. Tiers are derived from the course type's paid packages:
+ * each package's per-lesson rate applies from its lesson count up to the next package's,
+ * in every currency (Main: 2–9 lessons at the single-lesson rate, 10–19 at the 10-pack rate, …).
+ * A price change in the catalog therefore moves the custom prices with it.
+ * No count costs more than the next package up (19 lessons never cost more than the 20-pack),
+ * so prices never go down as lessons are added.
+ *
+ * A custom package looks like a catalog package ({ id, title, lessons, price }, plus `custom: true`,
+ * the `tierPackageId` whose rate it uses and the `capPackageId` whose price caps it, if any),
+ * with the lesson count in its id ("custom-15"), so it survives in URLs, drafts and applications.
+ */
+export const CUSTOM_DEFAULT_LESSONS = 15;
+
+const MIN_LESSONS = 2;
+const ID_RE = /^custom-(\d+)$/;
+
+export const customPackageId = (lessons) => `custom-${lessons}`;
+
+const isPaid = (pkg) => Object.values(pkg.price).every((amount) => amount > 0);
+
+// [{ packageId, from, price, rates: { [currency]: perLessonRate } }], smallest package first
+function tiers(list) {
+  return list
+    .filter(isPaid)
+    .sort((a, b) => a.lessons - b.lessons)
+    .map((pkg) => ({
+      packageId: pkg.id,
+      from: pkg.lessons,
+      price: pkg.price,
+      rates: Object.fromEntries(
+        Object.entries(pkg.price).map(([code, amount]) => [code, perLessonPrice(amount, pkg.lessons, code)])
+      ),
+    }));
+}
+
+/**
+ * Lesson counts the builder offers for a course type: { min, max },
+ * or null when it has fewer than two paid packages to derive tiers from (free trials, tests).
+ */
+export function customRange(list) {
+  const paid = tiers(list);
+  if (paid.length < 2) return null;
+  return { min: MIN_LESSONS, max: paid[paid.length - 1].from };
+}
+
+export function buildCustomPackage(list, lessons) {
+  const paid = tiers(list);
+  // Rate of the biggest package that isn't bigger than the request (the smallest one below its size)
+  const tier = paid.reduce((best, t) => (t.from <= lessons ? t : best), paid[0]);
+  // …capped at the price of the next package up
+  const cap = paid.find((t) => t.from > lessons) ?? null;
+  return {
+    id: customPackageId(lessons),
+    title: "Custom package",
+    lessons,
+    price: Object.fromEntries(
+      Object.entries(tier.rates).map(([code, rate]) => {
+        const amount = roundToMinor(rate * lessons, code);
+        return [code, cap ? Math.min(amount, cap.price[code]) : amount];
+      })
+    ),
+    custom: true,
+    tierPackageId: tier.packageId,
+    capPackageId: cap?.packageId ?? null,
+  };
+}
+
+// Whether a custom package's price in `currency` is the cap, i.e. the next package up costs the same
+export function isPriceCapped(list, pkg, currency) {
+  const cap = pkg.capPackageId && list.find((p) => p.id === pkg.capPackageId);
+  return Boolean(cap) && pkg.price[currency] >= cap.price[currency];
+}
+
+/**
+ * Catalog package by id, or the custom package an id like "custom-15" stands for
+ * (null when the id is unknown or outside the builder's range).
+ */
+export function findPackage(list, packageId) {
+  if (!list) return null;
+  const pkg = list.find((p) => p.id === packageId);
+  if (pkg) return pkg;
+
+  const match = ID_RE.exec(packageId ?? "");
+  const range = match && customRange(list);
+  if (!range) return null;
+  const lessons = Number(match[1]);
+  return lessons >= range.min && lessons <= range.max ? buildCustomPackage(list, lessons) : null;
+}
@@ -0,0 +1,40 @@
+import { readJSON, removeKey, writeJSON } from "./storage";
+
+/**
+ * In-progress application draft.
+ * Saved locally as the student types on Step 4 so a refresh or closed tab
+ * doesn't lose their details or their course/package choice.
+ */
+const KEY = "applicationDraft";
+
+// Drafts older than this are dropped instead of offered back
+export const DRAFT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Returns the saved draft, or null when there is none / it expired / it is unreadable.
+ * Shape: { typeId, packageId, formData, savedAt }
+ */
+export function loadDraft(now = Date.now()) {
+  const draft = readJSON(KEY);
+  if (!draft || typeof draft !== "object" || !draft.formData) return null;
+
+  if (!Number.isFinite(draft.savedAt) || now - draft.savedAt > DRAFT_TTL_MS) {
+    removeKey(KEY);
+    return null;
+  }
+
+  return draft;
+}
+
+export function saveDraft({ typeId, packageId, formData }) {
+  writeJSON(KEY, { typeId, packageId, formData, savedAt: Date.now() });
+}
+
+export function clearDraft() {
+  removeKey(KEY);
+}
+
+// A draft is only worth keeping (or offering back) if the student typed something
+export function hasDraftContent(formData) {
+  return Object.values(formData || {}).some((v) => (Array.isArray(v) ? v.length > 0 : typeof v === "string" && v.trim()));
+}
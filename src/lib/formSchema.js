@@ -0,0 +1,196 @@
+import { hasValidConsent } from "./consent";
+import { countryName } from "./countries";
+import { normalizePhone } from "./validation";
+
+/**
+ * Application form schema (Step 4).
+ *
+ * The form, its validation and the submitted fields are all derived from this
+ * one description, so adding a question is a schema edit:
+ * {
+ *   name: "level",                      // key in the form state and (by default) in the payload
+ *   type: "text" | "email" | "date" | "textarea" | "select" | "multiselect" | "country" | "phone" | "consent" | "checkbox",
+ *   options?: ["beginner", …],          // select / multiselect option ids
+ *   required?: true,
+ *   rules?: ["email"],                  // extra rules from lib/validation
+ *   visibleIf?: { field, equals? | includes? | oneOf? },
+ *   full?: true,                        // takes the whole row
+ *   autoComplete?, placeholder?: i18n key, maxLength?,
+ *   toPayload?: (value, form) => ({ … }) // custom payload entries (default: { [name]: value })
+ * }
+ *
+ * Texts come from the i18n catalogs: label `form.<name>`, options `form.<name>.<option>`.
+ * Payload values are ids, never translated labels.
+ * Checkboxes (consent, opt-ins) hold null or { version?, at }, see lib/consent.
+ */
+const COMMON_FIELDS = [
+  {
+    name: "fullName",
+    type: "text",
+    required: true,
+    rules: ["fullName"],
+    autoComplete: "name",
+    placeholder: "form.fullNamePlaceholder",
+    toPayload: (value) => ({ fullName: value.trim().replace(/\s+/g, " ") }),
+  },
+  {
+    name: "email",
+    type: "email",
+    required: true,
+    rules: ["email"],
+    autoComplete: "email",
+    placeholder: "form.emailPlaceholder",
+    toPayload: (value) => ({ email: value.trim().toLowerCase() }),
+  },
+  {
+    name: "country",
+    type: "country",
+    required: true,
+    rules: ["country"],
+    placeholder: "form.countryPlaceholder",
+    // English country name for the inbox, plus the ISO code
+    toPayload: (value) => ({ country: countryName(value, "en"), countryCode: value }),
+  },
+  {
+    name: "phone",
+    type: "phone",
+    required: true,
+    rules: ["phone"],
+    placeholder: "form.phonePlaceholder",
+    // E.164, using the dial code picked next to the number
+    toPayload: (value, form) => ({ phone: normalizePhone(value, form.phoneCountry) }),
+  },
+];
+
+/**
+ * Gift purchases: the contact fields above are the buyer's (who pays), these are the
+ * learner who receives the package. Course-specific questions are left to the recipient.
+ */
+const GIFT_FIELDS = [
+  {
+    name: "recipientName",
+    type: "text",
+    required: true,
+    rules: ["fullName"],
+    autoComplete: "off",
+    toPayload: (value) => ({ recipientName: value.trim().replace(/\s+/g, " ") }),
+  },
+  {
+    name: "recipientEmail",
+    type: "email",
+    required: true,
+    rules: ["email"],
+    autoComplete: "off",
+    toPayload: (value) => ({ recipientEmail: value.trim().toLowerCase() }),
+  },
+  // When we send the recipient their gift email ("" = as soon as it's confirmed)
+  { name: "giftDeliveryDate", type: "date", rules: ["notPast"] },
+  { name: "giftMessage", type: "textarea", full: true, maxLength: 300, placeholder: "form.giftMessagePlaceholder" },
+];
+
+// Always last: required privacy consent + optional marketing opt-in
+const CONSENT_FIELDS = [
+  {
+    name: "privacyConsent",
+    type: "consent",
+    required: true,
+    full: true,
+    toPayload: (value) => ({
+      privacyConsent: hasValidConsent(value),
+      privacyNoticeVersion: value?.version || "",
+      privacyConsentAt: value?.at || "",
+    }),
+  },
+  {
+    name: "marketingOptIn",
+    type: "checkbox",
+    full: true,
+    toPayload: (value) => ({ marketingOptIn: Boolean(value), marketingOptInAt: value?.at || "" }),
+  },
+];
+
+const FIELDS_BY_TYPE = {
+  main: [
+    {
+      name: "level",
+      type: "select",
+      options: ["beginner", "elementary", "intermediate", "upperIntermediate", "advanced"],
+      required: true,
+    },
+    {
+      name: "goals",
+      type: "multiselect",
+      options: ["work", "study", "travel", "exams", "everyday", "other"],
+      required: true,
+      full: true,
+    },
+    { name: "goalsOther", type: "text", required: true, full: true, visibleIf: { field: "goals", includes: "other" } },
+  ],
+  conv: [
+    {
+      name: "topics",
+      type: "multiselect",
+      options: ["everyday", "travel", "business", "culture", "news", "technology", "other"],
+      required: true,
+      full: true,
+    },
+    { name: "topicsOther", type: "text", required: true, full: true, visibleIf: { field: "topics", includes: "other" } },
+  ],
+  placement: [
+    { name: "examTarget", type: "select", options: ["ielts", "toefl", "none"], required: true },
+    { name: "examScore", type: "text", visibleIf: { field: "examTarget", oneOf: ["ielts", "toefl"] } },
+    { name: "examDate", type: "date", visibleIf: { field: "examTarget", oneOf: ["ielts", "toefl"] } },
+  ],
+};
+
+// Every field of a course type's form, in display order
+export const formFields = (typeId, { gift = false } = {}) => [
+  ...COMMON_FIELDS,
+  ...(gift ? GIFT_FIELDS : FIELDS_BY_TYPE[typeId] || []),
+  ...CONSENT_FIELDS,
+];
+
+// Current value with the type's empty default (type-specific fields start out missing)
+const EMPTY_VALUES = { multiselect: [], consent: null, checkbox: null };
+export const fieldValue = (field, form) =>
+  form[field.name] ?? (field.type in EMPTY_VALUES ? EMPTY_VALUES[field.type] : "");
+
+export function isVisible(field, form) {
+  const condition = field.visibleIf;
+  if (!condition) return true;
+  const value = form[condition.field];
+  if ("equals" in condition) return value === condition.equals;
+  if ("includes" in condition) return Array.isArray(value) && value.includes(condition.includes);
+  if ("oneOf" in condition) return condition.oneOf.includes(value);
+  return true;
+}
+
+export const visibleFields = (fields, form) => fields.filter((field) => isVisible(field, form));
+
+// How "required" is checked per field type
+const REQUIRED_RULE = { multiselect: "requiredChoice", consent: "consent" };
+
+/**
+ * Validation rules for the visible fields, in the { field: [ruleName, …] } shape of lib/validation.
+ * Hidden fields are never required.
+ */
+export function schemaRules(fields, form) {
+  return Object.fromEntries(
+    visibleFields(fields, form).map((field) => {
+      const names = [];
+      if (field.required) names.push(REQUIRED_RULE[field.type] || "required");
+      return [field.name, [...names, ...(field.rules || [])]];
+    })
+  );
+}
+
+// Payload entries for the visible fields
+export function schemaPayload(fields, form) {
+  return visibleFields(fields, form).reduce((payload, field) => {
+    const value = fieldValue(field, form);
+    const entries = field.toPayload
+      ? field.toPayload(value, form)
+      : { [field.name]: typeof value === "string" ? value.trim() : value };
+    return { ...payload, ...entries };
+  }, {});
+}
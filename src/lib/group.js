@@ -0,0 +1,67 @@
+import { roundToMinor } from "./currency";
+import { validateForm } from "./validation";
+
+/**
+ * Group and family enrollment: one application for several learners.
+ *
+ * Form value `learners`: [] for a single learner, otherwise
+ * [{ name, ageBracket, typeId, packageId }, …] with at least two entries.
+ * The first learner takes the course and package picked in Steps 1–3 (their
+ * typeId/packageId stay ""); everyone else picks their own.
+ * Contact fields (name, email, phone) then belong to the parent / organiser.
+ *
+ * Discount rules live in the catalog (`groupDiscounts`), so they are a JSON edit:
+ * {
+ *   id: "family3",                    // sent with the application
+ *   label: "Family discount (3+)",     // internal name, sent with the application
+ *   minLearners: 3,                    // paying learners needed (free trials/tests don't count)
+ *   percent: 15                        // off every paying learner after the first
+ * }
+ * The biggest rule the group qualifies for applies. The first paying learner pays the full
+ * price, and a promo code only ever applies to the first learner, so the two never stack.
+ * Group applications are paid in full: installment plans belong to a single package.
+ */
+export const AGE_BRACKETS = ["under7", "7to12", "13to17", "18plus"];
+
+export const MAX_LEARNERS = 6;
+
+export const emptyLearner = (typeId = "", packageId = "") => ({ name: "", ageBracket: "", typeId, packageId });
+
+// Rule for `paidCount` paying learners, or null
+export function findGroupDiscount(rules, paidCount) {
+  return rules.reduce(
+    (best, rule) => (rule.minLearners <= paidCount && (!best || rule.minLearners > best.minLearners) ? rule : best),
+    null
+  );
+}
+
+/**
+ * Prices the group. `prices` are the learners' package prices in learner order
+ * (the first one after its promo code).
+ * Returns { rule, lines: [{ price, discount, total }], discount, total }.
+ */
+export function priceGroup(rules, prices, currency) {
+  const rule = findGroupDiscount(rules, prices.filter((price) => price > 0).length);
+  // A free first learner (trial, placement test) doesn't count: the discount starts at the second paying one
+  const firstPaying = prices.findIndex((price) => price > 0);
+  const lines = prices.map((price, i) => {
+    const discount = rule && i > firstPaying ? roundToMinor((price * rule.percent) / 100, currency) : 0;
+    return { price, discount, total: roundToMinor(price - discount, currency) };
+  });
+  const sum = (key) => roundToMinor(lines.reduce((acc, line) => acc + line[key], 0), currency);
+  return { rule, lines, discount: sum("discount"), total: sum("total") };
+}
+
+/**
+ * Inline errors per learner: [{ name?, ageBracket?, packageId? }] (i18n keys, see lib/validation).
+ * `packages` is the catalog's { [typeId]: [package] } to check each learner's pick against.
+ */
+export function learnerErrors(learners, packages) {
+  return learners.map((learner, i) => {
+    const errors = validateForm(learner, { name: ["fullName"], ageBracket: ["required"] });
+    if (i > 0 && !packages[learner.typeId]?.some((p) => p.id === learner.packageId)) {
+      errors.packageId = "validation.required";
+    }
+    return errors;
+  });
+}
@@ -0,0 +1,13 @@
+/**
+ * FNV-1a (32-bit): a tiny, stable, non-cryptographic hash.
+ * Used to recognise or tag something without keeping it (spam-guard fingerprints,
+ * referral codes), never to protect it. Returns an unsigned 32-bit integer.
+ */
+export function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
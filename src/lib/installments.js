@@ -0,0 +1,36 @@
+import { roundToMinor } from "./currency";
+import { addMonths } from "./time";
+
+/**
+ * Installment plans for the big packages (paying a 40- or 80-lesson package in monthly parts).
+ *
+ * Plans live on the package in the catalog, so offering one is a JSON edit:
+ * packages.main[…].installments = [
+ *   { id: "4x", payments: 4, surchargePercent?: 5 }   // monthly payments, optional surcharge on the total
+ * ]
+ * The form value `paymentPlan` is a plan id, or "" to pay in full; a plan the current
+ * package doesn't offer counts as paying in full.
+ */
+export const PAY_IN_FULL = "";
+
+export const installmentPlans = (pkg) => pkg?.installments || [];
+
+export const findPlan = (pkg, planId) => installmentPlans(pkg).find((plan) => plan.id === planId) || null;
+
+/**
+ * Spreads `amount` over the plan's monthly payments, the first one due on `firstDueDate`
+ * ("YYYY-MM-DD"). Parts are in the currency's minor units; the last one absorbs the rounding.
+ * Returns { surcharge, total, payments: [{ dueDate, amount }] }.
+ */
+export function buildSchedule(plan, amount, currency, firstDueDate) {
+  const surcharge = roundToMinor((amount * (plan.surchargePercent || 0)) / 100, currency);
+  const total = roundToMinor(amount + surcharge, currency);
+  const part = roundToMinor(total / plan.payments, currency);
+
+  const payments = Array.from({ length: plan.payments }, (_, i) => ({
+    dueDate: addMonths(firstDueDate, i),
+    amount: i < plan.payments - 1 ? part : roundToMinor(total - part * (plan.payments - 1), currency),
+  }));
+
+  return { surcharge, total, payments };
+}
@@ -0,0 +1,70 @@
+import { roundToMinor } from "./currency";
+import { dateInZone } from "./time";
+
+/**
+ * Promo codes (seasonal offers like Ramadan or back-to-school).
+ *
+ * Rules live in the catalog (`promotions`), so an offer is a JSON edit:
+ * {
+ *   code: "RAMADAN27",                 // what the student types (case-insensitive)
+ *   label: "Ramadan offer",            // internal name, sent with the application
+ *   type: "percent" | "fixed",
+ *   percent?: 15,                      // type "percent": 1 … 100
+ *   amount?: { [currency]: number },   // type "fixed": only valid in the listed currencies
+ *   currencies?: ["KWD", …],           // optional: limit to these currencies
+ *   courseTypes?: ["main", …],         // optional: limit to these course types
+ *   lessons?: [20, 40, …],             // optional: limit to these package sizes
+ *   startsOn?: "YYYY-MM-DD",           // optional, inclusive, academy time zone
+ *   endsOn?: "YYYY-MM-DD"              // optional, inclusive, academy time zone
+ * }
+ */
+
+export const normalizePromoCode = (code) =>
+  String(code ?? "")
+    .trim()
+    .toUpperCase()
+    .replace(/\s+/g, "");
+
+export function findPromotion(promotions, code) {
+  const wanted = normalizePromoCode(code);
+  if (!wanted) return null;
+  return promotions.find((rule) => normalizePromoCode(rule.code) === wanted) || null;
+}
+
+/**
+ * Checks a code against the current selection and prices it.
+ * Returns { ok: true, rule, originalPrice, discount, discountedPrice }
+ * or { ok: false, reason } where reason is an i18n-friendly key:
+ * "unknown" | "notStarted" | "expired" | "courseType" | "package" | "currency" | "free"
+ */
+export function applyPromotion(promotions, code, { typeId, pkg, currency, timeZone, now = Date.now() }) {
+  const rule = findPromotion(promotions, code);
+  if (!rule) return { ok: false, reason: "unknown" };
+
+  const today = dateInZone(now, timeZone);
+  if (rule.startsOn && today < rule.startsOn) return { ok: false, reason: "notStarted" };
+  if (rule.endsOn && today > rule.endsOn) return { ok: false, reason: "expired" };
+
+  if (rule.courseTypes && !rule.courseTypes.includes(typeId)) return { ok: false, reason: "courseType" };
+  if (rule.lessons && !rule.lessons.includes(pkg.lessons)) return { ok: false, reason: "package" };
+
+  const inCurrency = !rule.currencies || rule.currencies.includes(currency);
+  if (!inCurrency || (rule.type === "fixed" && rule.amount[currency] === undefined)) {
+    return { ok: false, reason: "currency" };
+  }
+
+  const originalPrice = pkg.price[currency];
+  if (originalPrice === 0) return { ok: false, reason: "free" };
+
+  const raw = rule.type === "percent" ? (originalPrice * rule.percent) / 100 : rule.amount[currency];
+  // Never below zero, always in the currency's minor units
+  const discount = roundToMinor(Math.min(raw, originalPrice), currency);
+
+  return {
+    ok: true,
+    rule,
+    originalPrice,
+    discount,
+    discountedPrice: roundToMinor(originalPrice - discount, currency),
+  };
+}
@@ -0,0 +1,15 @@
+import { createReference } from "./application";
+import { addDays, dateInZone } from "./time";
+
+/**
+ * Printable price quotes ("Download quote" on the details and apply steps).
+ * Quotes are generated in the browser and printed (or saved as PDF) through
+ * the print stylesheet, so no server is involved.
+ */
+export const QUOTE_VALIDITY_DAYS = 14;
+
+// "Q-20261019-7K3F"
+export const createQuoteReference = (now, timeZone) => createReference("Q", now, timeZone);
+
+// Last day the quoted price holds ("YYYY-MM-DD", academy calendar)
+export const quoteValidUntil = (now, timeZone) => addDays(dateInZone(now, timeZone), QUOTE_VALIDITY_DAYS);
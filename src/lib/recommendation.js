@@ -0,0 +1,95 @@
+import { comparePackages } from "./comparison";
+import { readJSON, removeKey, writeJSON } from "./storage";
+
+/**
+ * "Not sure where to start?" questionnaire (Step 1).
+ *
+ * Four questions; option ids are stable (they go into the payload), their texts
+ * live in the i18n catalogs as `quiz.<question>.<option>`.
+ *
+ * Scoring is deliberately simple and readable:
+ * - every answer adds points to course types (TYPE_POINTS); the highest score wins,
+ *   ties go to the catalog order
+ * - the package is the one closest to "lessons per week × weeks the budget covers"
+ */
+export const QUIZ_QUESTIONS = {
+  goal: ["general", "speaking", "exam", "unsure"],
+  level: ["beginner", "intermediate", "advanced", "unknown"],
+  weekly: ["one", "two", "four"],
+  budget: ["small", "medium", "large"],
+};
+
+const TYPE_POINTS = {
+  goal: {
+    general: { main: 3 },
+    speaking: { conv: 3, main: 1 },
+    exam: { main: 2, placement: 2 },
+    unsure: { trial: 2, placement: 1 },
+  },
+  level: {
+    beginner: { main: 2 },
+    intermediate: { main: 1, conv: 1 },
+    advanced: { conv: 2 },
+    unknown: { placement: 3 },
+  },
+  weekly: {},
+  budget: {
+    small: { trial: 1 },
+  },
+};
+
+const LESSONS_PER_WEEK = { one: 1, two: 2, four: 4 };
+const BUDGET_WEEKS = { small: 4, medium: 8, large: 16 };
+
+const QUIZ_KEY = "quiz";
+
+export const isQuizComplete = (answers) =>
+  Object.entries(QUIZ_QUESTIONS).every(([question, options]) => options.includes(answers?.[question]));
+
+/**
+ * Recommends a course type and package for complete `answers`.
+ * Returns { typeId, packageId, reasons } where reasons are i18n keys + vars:
+ * [{ key: "quiz.reason.goal.speaking" }, { key: "quiz.reason.package", vars: { … } }, …]
+ */
+export function recommend(answers, { courseTypes, packages }, currency) {
+  const scores = Object.fromEntries(courseTypes.map((type) => [type.id, 0]));
+  Object.entries(TYPE_POINTS).forEach(([question, byOption]) => {
+    Object.entries(byOption[answers[question]] || {}).forEach(([typeId, points]) => {
+      if (typeId in scores) scores[typeId] += points;
+    });
+  });
+
+  const typeId = courseTypes.reduce((best, type) => (scores[type.id] > scores[best] ? type.id : best), courseTypes[0].id);
+
+  const list = packages[typeId];
+  const perWeek = LESSONS_PER_WEEK[answers.weekly];
+  const weeks = BUDGET_WEEKS[answers.budget];
+  const target = perWeek * weeks;
+
+  // Closest lesson count; on a tie the bigger package (it's cheaper per lesson)
+  const pkg = list.reduce((best, p) => {
+    const d = Math.abs(p.lessons - target);
+    const bestD = Math.abs(best.lessons - target);
+    return d < bestD || (d === bestD && p.lessons > best.lessons) ? p : best;
+  }, list[0]);
+
+  const reasons = [{ key: `quiz.reason.goal.${answers.goal}` }, { key: `quiz.reason.level.${answers.level}` }];
+  if (list.length > 1 && pkg.lessons === 1) {
+    reasons.push({ key: "quiz.reason.single" });
+  } else if (list.length > 1) {
+    reasons.push({ key: "quiz.reason.package", vars: { count: pkg.lessons, perWeek, weeks: Math.round(pkg.lessons / perWeek) } });
+    if (comparePackages(list, currency).find((row) => row.pkg.id === pkg.id)?.bestValue) {
+      reasons.push({ key: "quiz.reason.bestValue" });
+    }
+  }
+
+  return { typeId, packageId: pkg.id, reasons };
+}
+
+// Answers survive reloads so they can still go out with the application
+export const loadQuizAnswers = () => {
+  const answers = readJSON(QUIZ_KEY);
+  return isQuizComplete(answers) ? answers : null;
+};
+export const saveQuizAnswers = (answers) => writeJSON(QUIZ_KEY, answers);
+export const clearQuizAnswers = () => removeKey(QUIZ_KEY);
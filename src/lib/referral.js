@@ -0,0 +1,82 @@
+import { fnv1a } from "./hash";
+import { readJSON, removeKey, writeJSON } from "./storage";
+
+/**
+ * Referral links ("?ref=ANNA-1X9K3B" on any page).
+ *
+ * - The code is captured on landing (main.jsx) and kept in this browser, so it survives the
+ *   step flow, reloads and a later visit without the parameter; a newer link replaces it.
+ *   The parameter is then dropped from the address bar, so deleting saved data really forgets it.
+ * - Codes are "<FIRST NAME>-<hash of email>": a student always gets the same link, and the
+ *   academy can tell whose code it is by recomputing createReferralCode() for its students.
+ *
+ * The reward is a catalog rule (`referralReward`), so changing it is a JSON edit:
+ * {
+ *   id: "free-lesson-both",                      // sent with the application
+ *   label: "One free lesson for both",           // internal name, sent with the application
+ *   refereeLessons: 1,                           // free lessons for the new student
+ *   referrerLessons: 1,                          // free lessons for the student who shared the link
+ *   minLessons?: 10                              // optional: smallest package that earns it
+ * }
+ */
+export const REFERRAL_PARAM = "ref";
+
+const KEY = "referral";
+const CODE_RE = /^[A-Z0-9][A-Z0-9-]{2,31}$/;
+
+// "anna-1x9k3b " → "ANNA-1X9K3B"; "" when it can't be a code we issued
+export function normalizeReferralCode(code) {
+  const value = String(code ?? "")
+    .trim()
+    .toUpperCase();
+  return CODE_RE.test(value) ? value : "";
+}
+
+// A hash of the email: stable, and the email itself never ends up in the link
+const emailHash = (email) =>
+  fnv1a(String(email).trim().toLowerCase()).toString(36).toUpperCase().padStart(6, "0");
+
+// First name in Latin letters (up to 10), or "FRIEND" for names written in another script
+export function createReferralCode(name, email) {
+  const first = String(name ?? "")
+    .trim()
+    .split(/\s+/)[0]
+    .normalize("NFD")
+    .replace(/[^A-Za-z]/g, "")
+    .slice(0, 10)
+    .toUpperCase();
+  return `${first.length >= 2 ? first : "FRIEND"}-${emailHash(email)}`;
+}
+
+// Shareable link to the start of the flow
+export const referralLink = (code) =>
+  `${window.location.origin}${import.meta.env.BASE_URL}?${REFERRAL_PARAM}=${encodeURIComponent(code)}`;
+
+/**
+ * Stores `?ref=` from the landing URL and removes it from the address bar.
+ * Run once at startup, before the router reads the URL.
+ */
+export function captureReferral(now = Date.now()) {
+  const url = new URL(window.location.href);
+  if (!url.searchParams.has(REFERRAL_PARAM)) return;
+
+  const code = normalizeReferralCode(url.searchParams.get(REFERRAL_PARAM));
+  // The same link again keeps the first visit's date
+  if (code && loadReferral()?.code !== code) writeJSON(KEY, { code, capturedAt: new Date(now).toISOString() });
+
+  url.searchParams.delete(REFERRAL_PARAM);
+  window.history.replaceState(window.history.state, "", `${url.pathname}${url.search}${url.hash}`);
+}
+
+// { code, capturedAt } or null
+export function loadReferral() {
+  const saved = readJSON(KEY);
+  const code = normalizeReferralCode(saved?.code);
+  return code ? { code, capturedAt: String(saved.capturedAt ?? "") } : null;
+}
+
+export const clearReferral = () => removeKey(KEY);
+
+// Whether a package earns the reward: paid, and at least `minLessons` when the rule sets one
+export const earnsReferralReward = (rule, lessons, price) =>
+  Boolean(rule) && price > 0 && (!rule.minLessons || lessons >= rule.minLessons);
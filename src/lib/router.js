@@ -0,0 +1,128 @@
+import { useCallback, useEffect, useState } from "react";
+import { findPackage } from "./customPackage";
+
+/**
+ * Tiny History API router for the pricing flow.
+ *
+ * URL shape (everything is optional from the right):
+ *   /                                  → Step 1 (course types)
+ *   /:typeSlug                         → Step 2 (packages)
+ *   /:typeSlug/:packageId              → Step 3 (details); "custom-15" = a built package (lib/customPackage)
+ *   /:typeSlug/:packageId/apply        → Step 4 (application)
+ *   /:typeSlug/:packageId/confirmation → after a successful submit
+ *   ?currency=KWD                      → active currency on any step
+ *   ?ref=ANNA-1X9K3B                   → referral code, stored and dropped from the URL on landing (lib/referral)
+ *
+ * Example: /conversational/c20?currency=KWD
+ *
+ * Anything we don't recognise (unknown slug, package from another course type,
+ * extra segments, malformed %-escapes) falls back to Step 1 instead of rendering an empty screen.
+ */
+
+// Vite's base path ("/" by default) so the router also works from a sub-folder deploy
+const BASE = import.meta.env.BASE_URL.replace(/\/$/, "");
+
+export const HOME_ROUTE = { step: "type", typeId: null, packageId: null, currency: null };
+
+/**
+ * Turns a `window.location`-like object into a route.
+ * `catalog` = { courseTypes, packages, currencies }
+ */
+export function parseRoute(location, catalog) {
+  let path = location.pathname;
+  if (BASE && path.startsWith(BASE)) path = path.slice(BASE.length);
+
+  const requested = new URLSearchParams(location.search).get("currency")?.toUpperCase();
+  const currency = requested && catalog.currencies[requested] ? requested : null;
+
+  const home = { ...HOME_ROUTE, currency };
+
+  // A malformed escape ("/main-course/%E0%A4%A") is just another URL we don't recognise
+  let segments;
+  try {
+    segments = path
+      .split("/")
+      .filter(Boolean)
+      .map((s) => decodeURIComponent(s));
+  } catch {
+    return home;
+  }
+
+  const [typeSlug, packageId, action, ...rest] = segments;
+  if (!typeSlug || rest.length) return home;
+
+  const type = catalog.courseTypes.find((t) => t.slug === typeSlug);
+  if (!type) return home;
+  if (!packageId) return { ...home, step: "packages", typeId: type.id };
+
+  const pkg = findPackage(catalog.packages[type.id], packageId);
+  if (!pkg) return home;
+  if (!action) return { ...home, step: "details", typeId: type.id, packageId: pkg.id };
+  if (action === "apply") return { ...home, step: "apply", typeId: type.id, packageId: pkg.id };
+  if (action === "confirmation") return { ...home, step: "confirmation", typeId: type.id, packageId: pkg.id };
+
+  return home;
+}
+
+/**
+ * Builds the URL for a route. Query params we don't own (e.g. campaign tags)
+ * are carried over from `search` untouched.
+ */
+export function buildUrl(route, catalog, search = "") {
+  const type = catalog.courseTypes.find((t) => t.id === route.typeId);
+  const segments = [];
+
+  if (type && route.step !== "type") {
+    segments.push(type.slug);
+    if (route.packageId && route.step !== "packages") {
+      segments.push(route.packageId);
+      if (route.step === "apply" || route.step === "confirmation") segments.push(route.step);
+    }
+  }
+
+  const params = new URLSearchParams(search);
+  if (route.currency) params.set("currency", route.currency);
+  else params.delete("currency");
+  const query = params.toString();
+
+  return `${BASE}/${segments.map((s) => encodeURIComponent(s)).join("/")}${query ? `?${query}` : ""}`;
+}
+
+/**
+ * React binding:
+ * - `route` is the single source of truth for step / typeId / packageId / currency
+ * - `navigate(next)` pushes a history entry (so Back/Forward move between steps)
+ * - `navigate(next, { replace: true })` swaps the current entry (used for currency)
+ */
+export function useRoute(catalog) {
+  const [route, setRoute] = useState(() => parseRoute(window.location, catalog));
+
+  useEffect(() => {
+    const onPopState = () => setRoute(parseRoute(window.location, catalog));
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, [catalog]);
+
+  // Keep the address bar canonical (e.g. an invalid deep link is rewritten to "/")
+  useEffect(() => {
+    const url = buildUrl(route, catalog, window.location.search);
+    const current = `${window.location.pathname}${window.location.search}`;
+    if (url !== current) window.history.replaceState(null, "", url);
+  }, [route, catalog]);
+
+  const navigate = useCallback(
+    (next, { replace = false } = {}) => {
+      const url = buildUrl(next, catalog, window.location.search);
+      if (replace) {
+        window.history.replaceState(null, "", url);
+      } else {
+        window.history.pushState(null, "", url);
+        window.scrollTo(0, 0);
+      }
+      setRoute(next);
+    },
+    [catalog]
+  );
+
+  return [route, navigate];
+}
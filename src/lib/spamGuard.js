@@ -0,0 +1,75 @@
+import { fnv1a } from "./hash";
+import { readJSON, writeJSON } from "./storage";
+
+/**
+ * Client-side spam protection for the application form.
+ * The Formspree endpoint is public, so these are cheap layers in front of it:
+ *
+ * 1. honeypot: a field humans never see; anything in it means a bot
+ * 2. time-to-submit: a form sent faster than a person could fill it in (or before the form
+ *    even started) is suspicious — but a restored draft is quick too, so it's only a "try again"
+ * 3. rate limit: at most RATE_LIMIT.max submissions per browser per window
+ * 4. duplicates: the same email + package again within DUPLICATE_WINDOW_MS
+ *
+ * Only the honeypot (1) is certain enough to fail silently — the caller pretends it worked,
+ * so there's nothing to tune against. 2–4 may be real people: the caller shows a message,
+ * and "Start a new application" forgets the duplicate fingerprint (forgetSubmission).
+ *
+ * The honeypot borrows Formspree's `_gotcha` name but is only checked here: it is never part of
+ * the payload, and a filled one stops before anything is sent.
+ */
+export const HONEYPOT_FIELD = "_gotcha";
+
+export const MIN_FILL_MS = 3_000;
+export const RATE_LIMIT = { max: 3, windowMs: 60 * 60 * 1000 };
+export const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const LOG_KEY = "submissionLog";
+const LOG_TTL_MS = Math.max(RATE_LIMIT.windowMs, DUPLICATE_WINDOW_MS);
+
+// A hash: we only need to recognise the same email + package again, not store the email itself
+const fingerprint = (email, packageId) => fnv1a(`${String(email).trim().toLowerCase()}|${packageId}`).toString(36);
+
+// [{ at, fp }], oldest first, expired entries dropped
+function readLog(now) {
+  const log = readJSON(LOG_KEY, []);
+  return Array.isArray(log) ? log.filter((entry) => now - entry.at < LOG_TTL_MS) : [];
+}
+
+/**
+ * Decides whether a submission may go out.
+ * Returns { ok: true }
+ *      or { ok: false, bot: true, reason: "honeypot" }
+ *      or { ok: false, reason: "tooFast" }
+ *      or { ok: false, reason: "rateLimited", retryAfterMs }
+ *      or { ok: false, reason: "duplicate" }
+ */
+export function checkSubmission({ honeypot, startedAt, email, packageId, now = Date.now() }) {
+  if (String(honeypot ?? "").trim()) return { ok: false, bot: true, reason: "honeypot" };
+  if (!startedAt || now - startedAt < MIN_FILL_MS) return { ok: false, reason: "tooFast" };
+
+  const log = readLog(now);
+
+  const fp = fingerprint(email, packageId);
+  if (log.some((entry) => entry.fp === fp && now - entry.at < DUPLICATE_WINDOW_MS)) {
+    return { ok: false, reason: "duplicate" };
+  }
+
+  const recent = log.filter((entry) => now - entry.at < RATE_LIMIT.windowMs);
+  if (recent.length >= RATE_LIMIT.max) {
+    return { ok: false, reason: "rateLimited", retryAfterMs: recent[0].at + RATE_LIMIT.windowMs - now };
+  }
+
+  return { ok: true };
+}
+
+// Call once an application was sent (or queued for sending)
+export function recordSubmission({ email, packageId, now = Date.now() }) {
+  writeJSON(LOG_KEY, [...readLog(now), { at: now, fp: fingerprint(email, packageId) }]);
+}
+
+// The student deliberately applies again for the same package: not a duplicate any more
+export function forgetSubmission({ email, packageId, now = Date.now() }) {
+  const fp = fingerprint(email, packageId);
+  writeJSON(LOG_KEY, readLog(now).filter((entry) => entry.fp !== fp));
+}
@@ -0,0 +1,63 @@
+/**
+ * localStorage helpers.
+ * Every key is prefixed so we can find (and purge) everything this app stored.
+ * Storage can be unavailable (private mode, blocked cookies, quota) — all helpers
+ * fail soft and the app keeps working in memory.
+ */
+const PREFIX = "mastersEnglish:";
+
+// When each key was last written ({ key: timestamp }), so data can be purged after a retention period
+const SAVED_AT_KEY = "savedAt";
+
+function stamp(key, time) {
+  if (key === SAVED_AT_KEY) return;
+  const { [key]: _previous, ...others } = readJSON(SAVED_AT_KEY, {}) || {};
+  const next = time == null ? others : { ...others, [key]: time };
+  try {
+    window.localStorage.setItem(PREFIX + SAVED_AT_KEY, JSON.stringify(next));
+  } catch {
+    // ignore storage failures
+  }
+}
+
+export function readJSON(key, fallback = null) {
+  try {
+    const raw = window.localStorage.getItem(PREFIX + key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+export function writeJSON(key, value) {
+  try {
+    window.localStorage.setItem(PREFIX + key, JSON.stringify(value));
+    stamp(key, Date.now());
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function removeKey(key) {
+  try {
+    window.localStorage.removeItem(PREFIX + key);
+    stamp(key, null);
+  } catch {
+    // ignore storage failures
+  }
+}
+
+// Last write time of `key` (ms), or null when unknown (e.g. written by an older version)
+export function savedAt(key) {
+  const time = readJSON(SAVED_AT_KEY, {})?.[key];
+  return Number.isFinite(time) ? time : null;
+}
+
+export function hasKey(key) {
+  try {
+    return window.localStorage.getItem(PREFIX + key) != null;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * Normalized submission error.
+ * Every adapter throws this, so the UI only needs `code` (or `message`) for the notice
+ * and `retryable` to know whether trying again later could help.
+ * `detail` is the backend's own explanation when it gave one (e.g. "email is invalid").
+ *
+ * code:
+ * - "network"  → the request never reached the backend (offline, DNS, CORS…)
+ * - "rejected" → the backend answered with a validation / client error (4xx)
+ * - "server"   → the backend failed (5xx)
+ * - "config"   → the adapter is missing its settings
+ */
+export class SubmissionError extends Error {
+  constructor(message, { code = "server", status = null, detail = null, cause } = {}) {
+    super(message, { cause });
+    this.name = "SubmissionError";
+    this.code = code;
+    this.status = status;
+    this.detail = detail;
+    this.retryable = code === "network" || code === "server";
+  }
+}
+
+export const DEFAULT_ERROR_MESSAGE = "Submission failed. Please try again.";
+
+/**
+ * POSTs JSON and turns every failure mode into a SubmissionError.
+ * `readError(data)` lets an adapter pull a friendly message out of the backend's error body.
+ */
+export async function postJSON(url, payload, { headers = {}, readError } = {}) {
+  let res;
+  try {
+    res = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+        ...headers,
+      },
+      body: JSON.stringify(payload),
+    });
+  } catch (err) {
+    throw new SubmissionError("We couldn't reach the server. Check your connection and try again.", {
+      code: "network",
+      cause: err,
+    });
+  }
+
+  // `res.ok` covers 2xx status codes.
+  if (res.ok) return res;
+
+  let detail = null;
+  if (readError) {
+    try {
+      detail = readError(await res.json()) || null;
+    } catch {
+      // ignore JSON parsing failures
+    }
+  }
+
+  throw new SubmissionError(detail || DEFAULT_ERROR_MESSAGE, {
+    code: res.status >= 500 ? "server" : "rejected",
+    status: res.status,
+    detail,
+  });
+}
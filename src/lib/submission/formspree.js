@@ -0,0 +1,20 @@
+import { postJSON } from "./errors";
+
+/**
+ * Formspree adapter.
+ * Formspree accepts JSON if you set the Accept header, and returns
+ * `{ errors: [{ message }] }` when it rejects a submission.
+ * Formspree doesn't deduplicate: a repeat caused by a lost response shows up in the inbox
+ * with the same `idempotencyKey` field (part of every payload), which is how to spot it.
+ */
+export function createFormspreeAdapter({ endpoint }) {
+  return {
+    name: "formspree",
+    async submit(payload) {
+      await postJSON(endpoint, payload, {
+        readError: (data) => data?.errors?.[0]?.message,
+      });
+      return {};
+    },
+  };
+}
@@ -0,0 +1,50 @@
+import { createFormspreeAdapter } from "./formspree";
+import { createMailtoAdapter } from "./mailto";
+import { createMockAdapter } from "./mock";
+import { createWebhookAdapter } from "./webhook";
+
+export { SubmissionError, DEFAULT_ERROR_MESSAGE } from "./errors";
+export {
+  createIdempotencyKey,
+  discardSubmission,
+  enqueueSubmission,
+  markDelivered,
+  outboxEntries,
+  retryDelay,
+  retrySubmission,
+  useSubmissionQueue,
+} from "./queue";
+
+/**
+ * Submission backend selection.
+ * Pick the adapter with Vite env config (see .env.example):
+ *
+ *   VITE_SUBMIT_ADAPTER=formspree | webhook | mailto | mock
+ *
+ * Every adapter exposes `submit(payload)` which resolves to `{ message?, handoff? }`
+ * or throws a SubmissionError, so the UI behaves the same whatever the backend is.
+ */
+
+// ✅ Your Formspree endpoint (submissions will arrive in your Formspree inbox + email, depending on your settings)
+const DEFAULT_FORMSPREE_ENDPOINT = "https://formspree.io/f/xanrzowg";
+
+const env = import.meta.env;
+
+const ADAPTERS = {
+  formspree: () => createFormspreeAdapter({ endpoint: env.VITE_FORMSPREE_ENDPOINT || DEFAULT_FORMSPREE_ENDPOINT }),
+  webhook: () => createWebhookAdapter({ url: env.VITE_WEBHOOK_URL }),
+  mailto: () => createMailtoAdapter({ address: env.VITE_MAILTO_ADDRESS }),
+  mock: () =>
+    createMockAdapter({
+      result: env.VITE_MOCK_SUBMIT_RESULT || "success",
+      delay: Number(env.VITE_MOCK_SUBMIT_DELAY ?? 600),
+    }),
+};
+
+const requested = (env.VITE_SUBMIT_ADAPTER || "formspree").toLowerCase();
+
+if (!ADAPTERS[requested]) {
+  console.warn(`[submission] Unknown VITE_SUBMIT_ADAPTER "${requested}", falling back to formspree.`);
+}
+
+export const submitter = (ADAPTERS[requested] || ADAPTERS.formspree)();
@@ -0,0 +1,29 @@
+import { SubmissionError } from "./errors";
+
+/**
+ * Mailto fallback adapter.
+ * Opens the student's email app with the application pre-filled.
+ * We can't know whether they actually press "send", so it resolves to `{ handoff: true }`
+ * and the UI asks them to finish in their email app.
+ */
+export function createMailtoAdapter({ address }) {
+  return {
+    name: "mailto",
+    async submit(payload) {
+      if (!address) throw new SubmissionError("Submissions are not configured yet.", { code: "config" });
+
+      const subject = `Application: ${payload.courseType} • ${payload.packageTitle}`;
+      const body = Object.entries(payload)
+        .filter(([, value]) => value !== "" && value != null)
+        .map(([key, value]) => `${key}: ${typeof value === "object" ? JSON.stringify(value) : value}`)
+        .join("\n");
+
+      window.location.href = `mailto:${address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+
+      return {
+        handoff: true,
+        message: "Your email app should open with your application — please press send to finish.",
+      };
+    },
+  };
+}
@@ -0,0 +1,30 @@
+import { SubmissionError } from "./errors";
+
+/**
+ * Local mock adapter for development and tests.
+ * Logs the payload instead of sending it.
+ * `result` = "success" | "error" | "offline" to exercise each UI state.
+ */
+export function createMockAdapter({ result = "success", delay = 600 } = {}) {
+  return {
+    name: "mock",
+    async submit(payload) {
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      console.info("[mock submission]", payload);
+
+      if (result === "error") {
+        throw new SubmissionError("Mock backend rejected the submission.", {
+          code: "rejected",
+          status: 422,
+          detail: "Mock backend rejected the submission.",
+        });
+      }
+      if (result === "offline") {
+        throw new SubmissionError("We couldn't reach the server. Check your connection and try again.", {
+          code: "network",
+        });
+      }
+      return {};
+    },
+  };
+}
@@ -0,0 +1,187 @@
+import { useCallback, useEffect, useRef } from "react";
+import { readJSON, writeJSON } from "../storage";
+
+/**
+ * Offline-tolerant outbox for applications.
+ *
+ * - Every payload carries an `idempotencyKey` (created once per submit click).
+ * - Failed-but-retryable (network / 5xx) or offline submissions are queued in localStorage.
+ * - The queue is flushed on load, when the browser comes back online, and on a backoff timer.
+ * - Entries carry the caller's `record` (what to confirm once delivered), so a reload loses nothing.
+ * - Entries the backend rejects (non-retryable) stay in the queue as `status: "failed"` with their
+ *   error, until the applicant retries or dismisses them (see outboxEntries()).
+ * - Keys that were delivered are remembered, so this browser never sends the same payload twice
+ *   (even with two tabs open — flushing is serialized with the Web Locks API when available).
+ *   A request that reached the backend but whose response was lost is sent again, though: the key
+ *   travels with every payload (`idempotencyKey`) so the backend or inbox can drop that duplicate.
+ */
+const QUEUE_KEY = "submissionQueue";
+const SENT_KEY = "submissionSent";
+
+// How many delivered keys we remember for de-duplication
+const SENT_HISTORY = 50;
+
+const BASE_DELAY_MS = 5_000;
+const MAX_DELAY_MS = 10 * 60_000;
+
+export function createIdempotencyKey() {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+// Exponential backoff with a little jitter: 5s, 10s, 20s … capped at 10 minutes
+export function retryDelay(attempts) {
+  const delay = Math.min(BASE_DELAY_MS * 2 ** attempts, MAX_DELAY_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+const readQueue = () => readJSON(QUEUE_KEY, []);
+const writeQueue = (items) => writeJSON(QUEUE_KEY, items);
+
+export function wasDelivered(key) {
+  return readJSON(SENT_KEY, []).includes(key);
+}
+
+export function markDelivered(key) {
+  const sent = readJSON(SENT_KEY, []).filter((k) => k !== key);
+  writeJSON(SENT_KEY, [...sent, key].slice(-SENT_HISTORY));
+}
+
+/**
+ * Adds a payload to the queue (no-op if its key is already queued).
+ * `delay` postpones the first retry, e.g. right after a failed online attempt;
+ * `record` is kept with it for the caller (e.g. the confirmation to show once it's delivered).
+ */
+export function enqueueSubmission(payload, { delay = 0, record = null } = {}) {
+  const items = readQueue();
+  if (items.some((item) => item.key === payload.idempotencyKey)) return;
+  items.push({ key: payload.idempotencyKey, payload, record, attempts: 0, nextAttemptAt: Date.now() + delay });
+  writeQueue(items);
+}
+
+const isFailed = (item) => item.status === "failed";
+
+export function nextAttemptAt() {
+  const items = readQueue().filter((item) => !isFailed(item));
+  return items.length ? Math.min(...items.map((item) => item.nextAttemptAt)) : null;
+}
+
+// Read-modify-write a single queue entry (the queue may have changed while we were sending)
+function updateQueue(key, update) {
+  writeQueue(readQueue().flatMap((item) => (item.key === key ? update(item) : [item])));
+}
+
+async function flushDue(submit) {
+  const results = [];
+  const now = Date.now();
+
+  for (const item of readQueue().filter((i) => !isFailed(i) && i.nextAttemptAt <= now)) {
+    if (wasDelivered(item.key)) {
+      updateQueue(item.key, () => []);
+      continue;
+    }
+
+    try {
+      await submit(item.payload);
+      markDelivered(item.key);
+      updateQueue(item.key, () => []);
+      results.push({ key: item.key, status: "sent" });
+    } catch (err) {
+      if (err?.retryable) {
+        updateQueue(item.key, (i) => [
+          { ...i, attempts: i.attempts + 1, nextAttemptAt: Date.now() + retryDelay(i.attempts + 1) },
+        ]);
+        // Still offline / backend still down: no point hammering the rest right now
+        break;
+      }
+      // Kept (with what the UI needs to explain it) so it can't disappear unseen
+      updateQueue(item.key, (i) => [
+        { ...i, status: "failed", error: { code: err?.code ?? "server", detail: err?.detail ?? null } },
+      ]);
+      results.push({ key: item.key, status: "failed", error: err });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Everything in the outbox, oldest first: [{ key, payload, record, status?, error? }].
+ * Pending entries have no status; rejected ones have `status: "failed"` and `error: { code, detail }`.
+ */
+export const outboxEntries = () => readQueue();
+
+// Puts a rejected entry back in line for an immediate attempt
+export function retrySubmission(key) {
+  updateQueue(key, (item) => {
+    const { status: _status, error: _error, ...queued } = item;
+    return [{ ...queued, attempts: 0, nextAttemptAt: Date.now() }];
+  });
+}
+
+export function discardSubmission(key) {
+  updateQueue(key, () => []);
+}
+
+let flushing = null;
+
+/**
+ * Sends every due queue entry through `submit(payload)`.
+ * Resolves to [{ key, status: "sent" | "failed", error? }].
+ */
+export function flushQueue(submit) {
+  if (!flushing) {
+    const run = () => flushDue(submit);
+    const locked = navigator.locks?.request
+      ? navigator.locks.request("mastersEnglish:submissionQueue", run)
+      : run();
+    flushing = locked.finally(() => {
+      flushing = null;
+    });
+  }
+  return flushing;
+}
+
+/**
+ * React binding: keeps the queue draining in the background.
+ * `onSettled(result)` fires for every queued entry that was sent or permanently failed.
+ * Returns `kick()` to flush right away (e.g. straight after enqueueing).
+ */
+export function useSubmissionQueue(submit, onSettled) {
+  const onSettledRef = useRef(onSettled);
+  const kickRef = useRef(() => {});
+
+  useEffect(() => {
+    onSettledRef.current = onSettled;
+  }, [onSettled]);
+
+  useEffect(() => {
+    let timer = null;
+    let cancelled = false;
+
+    const run = async () => {
+      clearTimeout(timer);
+      // Offline: wait for the "online" event instead of polling
+      if (navigator.onLine === false) return;
+
+      const results = await flushQueue(submit);
+      if (cancelled) return;
+      results.forEach((result) => onSettledRef.current?.(result));
+
+      const next = nextAttemptAt();
+      if (next != null && !cancelled) timer = setTimeout(run, Math.max(1_000, next - Date.now()));
+    };
+
+    kickRef.current = run;
+    run();
+    window.addEventListener("online", run);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      window.removeEventListener("online", run);
+    };
+  }, [submit]);
+
+  return useCallback(() => kickRef.current(), []);
+}
@@ -0,0 +1,21 @@
+import { postJSON, SubmissionError } from "./errors";
+
+/**
+ * Generic JSON webhook adapter (Zapier, Make, n8n, our own endpoint…).
+ * Error bodies are read as `{ message }` or `{ error }` when present.
+ */
+export function createWebhookAdapter({ url }) {
+  return {
+    name: "webhook",
+    async submit(payload) {
+      if (!url) throw new SubmissionError("Submissions are not configured yet.", { code: "config" });
+
+      await postJSON(url, payload, {
+        // Lets the receiving end drop retried duplicates
+        headers: payload.idempotencyKey ? { "Idempotency-Key": payload.idempotencyKey } : {},
+        readError: (data) => data?.message || (typeof data?.error === "string" ? data.error : data?.error?.message),
+      });
+      return {};
+    },
+  };
+}
@@ -0,0 +1,164 @@
+/**
+ * Time-zone helpers built on Intl (no date library).
+ * Dates are "YYYY-MM-DD" strings, times "HH:MM", instants are epoch milliseconds.
+ */
+
+const partsCache = new Map();
+
+function partsFormatter(timeZone) {
+  if (!partsCache.has(timeZone)) {
+    partsCache.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return partsCache.get(timeZone);
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Wall-clock fields of an instant in a time zone
+export function zonedParts(ms, timeZone) {
+  const parts = Object.fromEntries(
+    partsFormatter(timeZone)
+      .formatToParts(new Date(ms))
+      .map((p) => [p.type, p.value])
+  );
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+  };
+}
+
+// Offset of a time zone from UTC at a given instant (ms, positive east of Greenwich)
+export function timeZoneOffset(ms, timeZone) {
+  const p = zonedParts(ms, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (ms - (ms % 1000));
+}
+
+/**
+ * Instant for a wall-clock date + time in a time zone.
+ * Two passes so the result is right on both sides of a DST change.
+ */
+export function zonedTimeToUtc(date, time, timeZone) {
+  const [y, m, d] = date.split("-").map(Number);
+  const [hh, mm] = time.split(":").map(Number);
+  const wallClock = Date.UTC(y, m - 1, d, hh, mm);
+
+  let ms = wallClock - timeZoneOffset(wallClock, timeZone);
+  ms = wallClock - timeZoneOffset(ms, timeZone);
+  return ms;
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// "YYYY-MM-DD" of an instant in a time zone
+export function dateInZone(ms, timeZone) {
+  const p = zonedParts(ms, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+// "HH:MM" of an instant in a time zone
+export function timeInZone(ms, timeZone) {
+  const p = zonedParts(ms, timeZone);
+  return `${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+export function addDays(date, days) {
+  const [y, m, d] = date.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+// Same day `months` later, clamped to the end of shorter months (Jan 31 + 1 → Feb 28)
+export function addMonths(date, months) {
+  const [y, m, d] = date.split("-").map(Number);
+  const lastDay = new Date(Date.UTC(y, m - 1 + months + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(y, m - 1 + months, Math.min(d, lastDay))).toISOString().slice(0, 10);
+}
+
+// 0 = Sunday … 6 = Saturday (of a calendar date, independent of any zone)
+export function weekdayOf(date) {
+  const [y, m, d] = date.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+export function minutesOf(time) {
+  const [hh, mm] = time.split(":").map(Number);
+  return hh * 60 + mm;
+}
+
+export function timeOf(minutes) {
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+// Human name of a zone in the UI language ("Arabian Standard Time"); falls back to the IANA id
+export function timeZoneLabel(timeZone, locale, at = Date.now()) {
+  try {
+    const part = new Intl.DateTimeFormat(locale, { timeZone, timeZoneName: "long" })
+      .formatToParts(new Date(at))
+      .find((p) => p.type === "timeZoneName");
+    return part?.value || timeZone;
+  } catch {
+    return timeZone;
+  }
+}
+
+// A calendar date in the UI language ("20 October 2026"), without a time zone shift
+export function dateLabel(date, locale) {
+  return new Intl.DateTimeFormat(locale, { dateStyle: "long", timeZone: "UTC" }).format(new Date(`${date}T12:00:00Z`));
+}
+
+// The browser's own zone (e.g. "Europe/Berlin"), or `fallback` when Intl can't tell
+export function detectTimeZone(fallback = "UTC") {
+  try {
+    const zone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return zone && isValidTimeZone(zone) ? zone : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+// Every zone the browser knows, for the time-zone picker (always includes `extra`)
+export function listTimeZones(extra = []) {
+  let zones = [];
+  try {
+    zones = Intl.supportedValuesOf("timeZone");
+  } catch {
+    // very old browsers: the picker then only offers the detected/academy zones
+  }
+  return [...new Set([...extra, ...zones])].sort();
+}
+
+// "UTC+03:00" for a zone at a given instant
+export function utcOffsetLabel(timeZone, at = Date.now()) {
+  const minutes = Math.round(timeZoneOffset(at, timeZone) / 60000);
+  const sign = minutes < 0 ? "-" : "+";
+  const abs = Math.abs(minutes);
+  return `UTC${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+// Unambiguous wall-clock text for payloads/emails: "2026-10-20 21:00 (Asia/Kuwait, UTC+03:00)"
+export function wallClockLabel(ms, timeZone) {
+  return `${dateInZone(ms, timeZone)} ${timeInZone(ms, timeZone)} (${timeZone}, ${utcOffsetLabel(timeZone, ms)})`;
+}
@@ -0,0 +1,84 @@
+import { hasValidConsent } from "./consent";
+import { dialCodeOf, isCountryCode } from "./countries";
+import { dateInZone, detectTimeZone } from "./time";
+
+/**
+ * Per-field validation rules.
+ * A rule is `(value, form) => errorKey | null`; error keys are i18n message keys,
+ * so inline errors are translated like every other text.
+ */
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@.]{2,}$/;
+
+export const rules = {
+  required: (value) => (String(value ?? "").trim() ? null : "validation.required"),
+
+  // Privacy consent, given for the current version of the notice
+  consent: (value) => (hasValidConsent(value) ? null : "validation.consent"),
+
+  // Multiple choice: at least one option picked
+  requiredChoice: (value) => (Array.isArray(value) && value.length ? null : "validation.requiredChoice"),
+
+  fullName: (value) => {
+    const name = String(value ?? "").trim();
+    return name.length >= 2 && /\p{L}/u.test(name) ? null : "validation.fullName";
+  },
+
+  email: (value) => (EMAIL_RE.test(String(value ?? "").trim()) ? null : "validation.email"),
+
+  country: (value) => (isCountryCode(value) ? null : "validation.country"),
+
+  // Optional "YYYY-MM-DD" date: today (in the student's calendar) or later
+  notPast: (value) => {
+    if (!value) return null;
+    return value >= dateInZone(Date.now(), detectTimeZone()) ? null : "validation.notPast";
+  },
+
+  // Needs a dial code (picked, or typed as +…/00…) and a plausible E.164 length
+  phone: (value, form) => {
+    const typedInternational = /^\s*(\+|00)/.test(String(value ?? ""));
+    if (!typedInternational && !isCountryCode(form.phoneCountry)) return "validation.dialCode";
+    return normalizePhone(value, form.phoneCountry) ? null : "validation.phone";
+  },
+};
+
+/**
+ * E.164 phone number ("+96512345678") from the national number and the dial-code country,
+ * or null when it can't be a valid number.
+ * A number typed with +… or 00… is taken as already international.
+ */
+export function normalizePhone(value, phoneCountry) {
+  const raw = String(value ?? "").trim();
+  if (!raw || /[^\d\s()+.\-/]/.test(raw)) return null;
+
+  let digits;
+  if (/^(\+|00)/.test(raw)) {
+    digits = raw.replace(/^00/, "").replace(/\D/g, "");
+  } else {
+    const dial = dialCodeOf(phoneCountry);
+    if (!dial) return null;
+    // Drop the national trunk prefix ("0151…" → "151…")
+    digits = dial + raw.replace(/\D/g, "").replace(/^0+/, "");
+  }
+
+  // E.164: country code + subscriber number, at most 15 digits
+  if (digits.length < 8 || digits.length > 15 || digits.startsWith("0")) return null;
+  return `+${digits}`;
+}
+
+/**
+ * Runs `fieldRules` ({ field: [ruleName, …] }) over the form.
+ * Returns { field: errorKey } for the first failing rule of each field.
+ */
+export function validateForm(form, fieldRules) {
+  const errors = {};
+  Object.entries(fieldRules).forEach(([field, names]) => {
+    for (const name of names) {
+      const error = rules[name](form[field], form);
+      if (error) {
+        errors[field] = error;
+        break;
+      }
+    }
+  });
+  return errors;
+}
@@ -2,6 +2,13 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { enforceRetention } from './lib/consent'
+import { captureReferral } from './lib/referral'
+
+// Drop locally saved application data past its retention period before anything reads it
+enforceRetention()
+// Keep the referral code of a `?ref=` link (after the purge, so a fresh link isn't dropped)
+captureReferral()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
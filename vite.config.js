@@ -1,7 +1,32 @@
+import { readFileSync } from 'node:fs'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// The course catalog has one source, src/catalog/catalog.json: the app bundles it as the
+// fallback, and this plugin publishes the same file at /catalog.json (dev server and build)
+const CATALOG_FILE = new URL('./src/catalog/catalog.json', import.meta.url)
+
+function publishCatalog() {
+  let base = '/'
+  return {
+    name: 'publish-catalog',
+    configResolved(config) {
+      base = config.base
+    },
+    configureServer(server) {
+      server.middlewares.use(`${base}catalog.json`, (req, res, next) => {
+        if (req.url !== '/' && !req.url.startsWith('/?')) return next()
+        res.setHeader('Content-Type', 'application/json')
+        res.end(readFileSync(CATALOG_FILE))
+      })
+    },
+    generateBundle() {
+      this.emitFile({ type: 'asset', fileName: 'catalog.json', source: readFileSync(CATALOG_FILE, 'utf8') })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), publishCatalog()],
 })